@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+/**
+ * Compare spec files written by different models for the same story
+ *
+ * Statically scores each spec (no test is run) on acceptance-criteria
+ * coverage, assertions per test, page.route() mocks vs real API checks,
+ * hardcoded waits and selector robustness, and ranks them - so picking
+ * the test-writing model rests on the same numbers every time.
+ *
+ * Files are named <MODEL>-<STORY>.spec.ts (e.g. GLM-US-005.spec.ts) and
+ * grouped by story. Criteria come from --criteria, else
+ * <dir>/<STORY>.criteria.json next to the specs, else the story in prd.json.
+ *
+ * Usage:
+ *   node compare-tests.js [<file|dir>...] [--story <id>] [--criteria <path>]
+ *                         [--json] [--markdown] [--out-json <path>] [--out-md <path>]
+ *
+ * Options: --prd <path> --root <dir>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_PRD_PATH, loadPrd, allStories } = require('./lib/prd');
+const { SPEC_PATTERN, findSpecFiles } = require('./lib/specs');
+const { SCORE_WEIGHTS, compareSpecs, renderMarkdown } = require('./lib/test-quality');
+
+const DEFAULT_COMPARISON_DIR = path.join('scripts', 'ralph', 'test-comparison');
+const STORY_ID = /\b(US-\d+)\b/i;
+
+function parseArgs(argv) {
+  const args = {
+    targets: [],
+    story: null,
+    criteriaPath: null,
+    prdPath: DEFAULT_PRD_PATH,
+    root: process.cwd(),
+    outJson: null,
+    outMd: null,
+    json: false,
+    markdown: false,
+    help: false
+  };
+  const value = (i, flag) => {
+    if (!argv[i]) throw new Error(`${flag} requires a value`);
+    return argv[i];
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--story') args.story = value(++i, arg).toUpperCase();
+    else if (arg === '--criteria') args.criteriaPath = value(++i, arg);
+    else if (arg === '--prd') args.prdPath = value(++i, arg);
+    else if (arg === '--root') args.root = value(++i, arg);
+    else if (arg === '--out-json') args.outJson = value(++i, arg);
+    else if (arg === '--out-md') args.outMd = value(++i, arg);
+    else if (arg === '--json') args.json = true;
+    else if (arg === '--markdown') args.markdown = true;
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (arg.startsWith('-')) throw new Error(`Unknown option: ${arg}`);
+    else args.targets.push(arg);
+  }
+  if (args.json && args.markdown) throw new Error('--json and --markdown are mutually exclusive');
+  return args;
+}
+
+function printHelp() {
+  console.log('Usage: node compare-tests.js [<file|dir>...] [options]');
+  console.log('');
+  console.log(`Spec files are named <MODEL>-<STORY>.spec.ts (default dir: ${DEFAULT_COMPARISON_DIR})`);
+  console.log('');
+  console.log('Options:');
+  console.log('  --story <id>        Only compare this story (also names the story for files without an ID)');
+  console.log('  --criteria <path>   JSON with acceptanceCriteria (default: <dir>/<story>.criteria.json, then prd.json)');
+  console.log('  --json              Print the comparison as JSON');
+  console.log('  --markdown          Print the comparison as Markdown');
+  console.log('  --out-json <path>   Write the JSON comparison to a file');
+  console.log('  --out-md <path>     Write the Markdown comparison to a file');
+  console.log(`  --prd <path>        prd.json (default: ${DEFAULT_PRD_PATH})`);
+  console.log('  --root <dir>        Project root (default: current directory)');
+  console.log('  --help, -h          Show this help message');
+  console.log('');
+  console.log('Score weights (out of 100):');
+  for (const [key, weight] of Object.entries(SCORE_WEIGHTS)) console.log(`  ${key.padEnd(12)} ${weight}`);
+}
+
+function collectSpecs(args) {
+  const targets = args.targets.length > 0 ? args.targets : [DEFAULT_COMPARISON_DIR];
+  const files = [];
+  for (const target of targets) {
+    const absolute = path.resolve(args.root, target);
+    if (!fs.existsSync(absolute)) throw new Error(`${target} not found`);
+    if (fs.statSync(absolute).isDirectory()) files.push(...findSpecFiles(target, args.root));
+    else if (SPEC_PATTERN.test(target)) files.push(target);
+    else throw new Error(`${target} is not a spec file`);
+  }
+  return [...new Set(files)];
+}
+
+function groupByStory(files, story) {
+  const groups = new Map();
+  for (const file of files) {
+    const match = STORY_ID.exec(path.basename(file));
+    const id = match ? match[1].toUpperCase() : story;
+    if (!id) throw new Error(`${file} has no story ID in its name - name it <MODEL>-<STORY>.spec.ts or pass --story`);
+    if (story && id !== story) continue;
+
+    const base = path.basename(file).replace(SPEC_PATTERN, '');
+    const label = base.replace(new RegExp(`[-_.]?${id}[-_.]?`, 'i'), '') || base;
+    if (!groups.has(id)) groups.set(id, []);
+    groups.get(id).push({ label, file });
+  }
+  if (story && !groups.has(story)) throw new Error(`No spec files for ${story}`);
+  return groups;
+}
+
+function readJson(file, label) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Failed to parse ${label}: ${e.message}`);
+  }
+}
+
+/**
+ * → { title, criteria, source } - criteria is [] when none are found
+ */
+function loadCriteria(args, storyId, specs) {
+  const fromFile = (file, label) => {
+    const data = readJson(file, label);
+    if (!Array.isArray(data.acceptanceCriteria)) throw new Error(`${label} has no acceptanceCriteria array`);
+    return { title: data.title || null, criteria: data.acceptanceCriteria, source: label };
+  };
+
+  if (args.criteriaPath) return fromFile(path.resolve(args.root, args.criteriaPath), args.criteriaPath);
+
+  for (const dir of new Set(specs.map(spec => path.dirname(spec.file)))) {
+    const candidate = path.join(dir, `${storyId}.criteria.json`);
+    if (fs.existsSync(path.resolve(args.root, candidate))) return fromFile(path.resolve(args.root, candidate), candidate);
+  }
+
+  const prdFile = path.resolve(args.root, args.prdPath);
+  if (fs.existsSync(prdFile)) {
+    const entry = allStories(loadPrd(prdFile)).find(({ story }) => story.id === storyId);
+    if (entry) return { title: entry.story.title || null, criteria: entry.story.acceptanceCriteria || [], source: args.prdPath };
+  }
+  return { title: null, criteria: [], source: null };
+}
+
+function printComparison(comparison) {
+  console.log(`${comparison.story_id}${comparison.title ? `: ${comparison.title}` : ''}`);
+  if (comparison.criteria.length > 0) {
+    console.log(`  Criteria: ${comparison.criteria.length} from ${comparison.criteria_source}`);
+  } else {
+    console.log(`  ⚠ No acceptance criteria found - coverage is not scored`);
+  }
+  console.log('');
+  console.log('  Rank  Model             Score  Tests  Assert/test  Mocks  Real API  Waits  Selectors r/t·id·css  Coverage');
+
+  comparison.ranking.forEach((entry, i) => {
+    const { selectors, coverage } = entry;
+    const ratio = coverage.ratio === null ? 'n/a' : `${Math.round(coverage.ratio * 100)}%`;
+    console.log(`  ${String(i + 1).padEnd(6)}${entry.label.padEnd(18)}${String(entry.score.total).padStart(5)}  ` +
+      `${String(entry.tests).padStart(5)}  ${String(entry.assertions_per_test).padStart(11)}  ` +
+      `${String(entry.mocks).padStart(5)}  ${String(entry.real_api_checks).padStart(8)}  ${String(entry.hardcoded_waits).padStart(5)}  ` +
+      `${`${selectors.role_text}·${selectors.test_id}·${selectors.css}`.padStart(21)}  ${ratio.padStart(8)}`);
+  });
+  console.log('');
+
+  for (const entry of comparison.ranking) {
+    const notes = [];
+    if (entry.mocks > 0) notes.push(`✗ ${entry.mocks} mocked route(s) - tests do not exercise the real API`);
+    if (entry.hardcoded_waits > 0) notes.push(`✗ ${entry.hardcoded_waits} hardcoded wait(s)`);
+    if (entry.tests_without_assertions > 0) notes.push(`✗ ${entry.tests_without_assertions} test(s) without assertions`);
+    if (entry.coverage.missing.length > 0) notes.push(`⚠ Missing ${entry.coverage.missing.join(', ')}`);
+    if (entry.selectors.css > 0) notes.push(`⚠ ${entry.selectors.css} CSS/XPath locator(s)`);
+    if (notes.length === 0) notes.push('✓ No findings');
+    console.log(`  ${entry.label} (${entry.file})`);
+    for (const note of notes) console.log(`    ${note}`);
+  }
+  console.log('');
+}
+
+function run(args) {
+  const groups = groupByStory(collectSpecs(args), args.story);
+  if (groups.size === 0) throw new Error('No spec files to compare');
+
+  const comparisons = [...groups.keys()].sort().map(storyId => {
+    const specs = groups.get(storyId).map(spec => ({
+      ...spec,
+      source: fs.readFileSync(path.resolve(args.root, spec.file), 'utf8')
+    }));
+    const { title, criteria, source } = loadCriteria(args, storyId, specs);
+    return {
+      story_id: storyId,
+      title,
+      criteria,
+      criteria_source: source,
+      ranking: compareSpecs(specs, criteria)
+    };
+  });
+
+  const result = { generated_at: new Date().toISOString(), weights: SCORE_WEIGHTS, comparisons };
+  const markdown = renderMarkdown(comparisons, { generatedAt: result.generated_at });
+
+  if (args.outJson) fs.writeFileSync(path.resolve(args.root, args.outJson), JSON.stringify(result, null, 2) + '\n');
+  if (args.outMd) fs.writeFileSync(path.resolve(args.root, args.outMd), markdown + '\n');
+
+  if (args.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else if (args.markdown) {
+    console.log(markdown);
+  } else {
+    console.log('═══════════════════════════════════════════════════════════');
+    console.log('Test Generation Comparison');
+    console.log('═══════════════════════════════════════════════════════════\n');
+    for (const comparison of comparisons) printComparison(comparison);
+  }
+  return true;
+}
+
+if (require.main === module) {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.log(`ERROR: ${e.message}`);
+    process.exit(1);
+  }
+
+  if (args.help) {
+    printHelp();
+    process.exit(0);
+  }
+
+  try {
+    process.exit(run(args) ? 0 : 1);
+  } catch (e) {
+    console.log(`ERROR: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { parseArgs, run };
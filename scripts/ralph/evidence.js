@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+/**
+ * Build and verify evidence packages (scripts/ralph/evidence/<story>.json)
+ *
+ * build  - assembles the package from prd.json acceptance criteria, the
+ *          Playwright JSON report and real source ranges, with SHA-256
+ *          hashes for every screenshot and snippet
+ * verify - fails on tampered/stale snippets and missing, tiny, corrupt, blank or
+ *          reused screenshots. Run before sending a package to review.
+ *
+ * Usage:
+ *   node evidence.js build <story> [--snippet <file>:<start>-<end>]...
+ *                                  [--screenshot <path>[=<description>]]...
+ *   node evidence.js verify [<story>...] [--json]
+ *
+ * Options: --prd <path> --results <path> --evidence-dir <dir> --root <dir>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_PRD_PATH, loadPrd } = require('./lib/prd');
+const {
+  DEFAULT_EVIDENCE_DIR,
+  DEFAULT_TEST_RESULTS,
+  buildEvidence,
+  loadEvidenceDir,
+  verifyEvidence
+} = require('./lib/evidence');
+
+function parseArgs(argv) {
+  const args = {
+    command: null,
+    stories: [],
+    snippets: [],
+    screenshots: [],
+    prdPath: DEFAULT_PRD_PATH,
+    resultsPath: DEFAULT_TEST_RESULTS,
+    evidenceDir: DEFAULT_EVIDENCE_DIR,
+    root: process.cwd(),
+    json: false,
+    help: false
+  };
+  const value = (i, flag) => {
+    if (!argv[i]) throw new Error(`${flag} requires a value`);
+    return argv[i];
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--snippet') {
+      const spec = value(++i, arg);
+      const split = spec.lastIndexOf(':');
+      if (split <= 0) throw new Error(`--snippet expects <file>:<start>-<end>, got "${spec}"`);
+      args.snippets.push({ file: spec.slice(0, split), lines: spec.slice(split + 1) });
+    } else if (arg === '--screenshot') {
+      const spec = value(++i, arg);
+      const split = spec.indexOf('=');
+      args.screenshots.push(split === -1
+        ? { path: spec }
+        : { path: spec.slice(0, split), description: spec.slice(split + 1) });
+    } else if (arg === '--prd') args.prdPath = value(++i, arg);
+    else if (arg === '--results') args.resultsPath = value(++i, arg);
+    else if (arg === '--evidence-dir') args.evidenceDir = value(++i, arg);
+    else if (arg === '--root') args.root = value(++i, arg);
+    else if (arg === '--json') args.json = true;
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (arg.startsWith('-')) throw new Error(`Unknown option: ${arg}`);
+    else if (!args.command) args.command = arg;
+    else args.stories.push(arg);
+  }
+
+  if (!args.help) {
+    if (!['build', 'verify'].includes(args.command)) throw new Error('Command must be "build" or "verify"');
+    if (args.command === 'build' && args.stories.length !== 1) throw new Error('build requires exactly one story ID');
+  }
+  return args;
+}
+
+function printHelp() {
+  console.log('Usage:');
+  console.log('  node evidence.js build <story> [--snippet <file>:<start>-<end>]... [--screenshot <path>[=<description>]]...');
+  console.log('  node evidence.js verify [<story>...] [--json]');
+  console.log('');
+  console.log('build uses every image in <evidence-dir>/screenshots/<story>/ when no --screenshot is given.');
+  console.log('verify checks all packages when no story is given.');
+  console.log('');
+  console.log('Options:');
+  console.log(`  --prd <path>          prd.json (default: ${DEFAULT_PRD_PATH})`);
+  console.log(`  --results <path>      Playwright JSON report (default: ${DEFAULT_TEST_RESULTS})`);
+  console.log(`  --evidence-dir <dir>  Evidence packages (default: ${DEFAULT_EVIDENCE_DIR})`);
+  console.log('  --root <dir>          Project root for snippet/screenshot paths (default: current directory)');
+  console.log('  --json                Print verify results as JSON');
+  console.log('  --help, -h            Show this help message');
+}
+
+function readJson(file, label) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Failed to parse ${label}: ${e.message}`);
+  }
+}
+
+function build(args) {
+  const storyId = args.stories[0];
+  const prd = loadPrd(args.prdPath);
+
+  const resultsPath = path.resolve(args.root, args.resultsPath);
+  if (!fs.existsSync(resultsPath)) {
+    throw new Error(`${args.resultsPath} not found - run Playwright with the json reporter first`);
+  }
+  const report = readJson(resultsPath, args.resultsPath);
+
+  const outPath = path.resolve(args.root, args.evidenceDir, `${storyId}.json`);
+  const existing = fs.existsSync(outPath) ? readJson(outPath, path.relative(args.root, outPath)) : null;
+
+  const evidence = buildEvidence(prd, storyId, {
+    root: args.root,
+    report,
+    snippets: args.snippets,
+    screenshots: args.screenshots,
+    evidenceDir: args.evidenceDir,
+    existing
+  });
+  fs.writeFileSync(outPath, JSON.stringify(evidence, null, 2) + '\n');
+
+  const { test_summary: summary } = evidence;
+  console.log(`✓ Wrote ${path.relative(args.root, outPath)}`);
+  console.log(`  Tests: ${summary.passed}/${summary.total} passed${summary.failed ? `, ${summary.failed} failed` : ''}`);
+  console.log(`  Screenshots: ${evidence.screenshots.length}, snippets: ${evidence.code_snippets.length}`);
+  console.log(`\nNext: node scripts/ralph/evidence.js verify ${storyId}`);
+  return true;
+}
+
+function verify(args) {
+  const packages = loadEvidenceDir(path.resolve(args.root, args.evidenceDir));
+  const selected = args.stories.length === 0
+    ? packages
+    : args.stories.map(id => {
+      const found = packages.find(({ evidence }) => evidence.story_id === id);
+      if (!found) throw new Error(`No evidence package for ${id} in ${args.evidenceDir}`);
+      return found;
+    });
+
+  const results = selected.map(({ file, evidence }) => {
+    const issues = verifyEvidence(evidence, { root: args.root, packages });
+    return {
+      story_id: evidence.story_id,
+      file: path.relative(args.root, file),
+      valid: !issues.some(issue => issue.level === 'error'),
+      issues
+    };
+  });
+  const valid = results.every(result => result.valid);
+
+  if (args.json) {
+    console.log(JSON.stringify({ valid, results }, null, 2));
+    return valid;
+  }
+
+  for (const result of results) {
+    console.log(`${result.valid ? '✓' : '✗'} ${result.story_id} (${result.file})`);
+    for (const issue of result.issues) {
+      console.log(`    ${issue.level === 'error' ? '✗' : '⚠'} ${issue.target}: ${issue.message} [${issue.check}]`);
+    }
+  }
+  if (results.length === 0) console.log('No evidence packages found');
+  console.log(valid ? '\n✓ Evidence ready for review' : '\nBLOCKED: fix evidence before requesting review');
+  return valid;
+}
+
+if (require.main === module) {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.log(`ERROR: ${e.message}`);
+    process.exit(1);
+  }
+
+  if (args.help) {
+    printHelp();
+    process.exit(0);
+  }
+
+  try {
+    const ok = args.command === 'build' ? build(args) : verify(args);
+    process.exit(ok ? 0 : 1);
+  } catch (e) {
+    console.log(`ERROR: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { parseArgs };
@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+/**
+ * Check LEARNINGS.md block patterns and scan source for them
+ *
+ * list - patterns with their Solution
+ * test - runs every pattern against the **Matches** / **Does not match**
+ *        examples embedded in LEARNINGS.md, or against --content
+ * scan - reports signature matches in a file tree (exit 1 on any match)
+ *
+ * Every command first rejects LEARNINGS.md if a pattern has an invalid
+ * regex, a duplicate BP-ID or a missing field.
+ *
+ * Usage:
+ *   node learnings.js list
+ *   node learnings.js test [<BP-ID>...] [--content <text>]
+ *   node learnings.js scan [<path>...] [--include <glob>]... [--exclude <glob>]... [--json]
+ *
+ * Options: --learnings <path> --root <dir>
+ */
+
+const path = require('path');
+const {
+  DEFAULT_LEARNINGS_PATH,
+  DEFAULT_INCLUDE,
+  DEFAULT_EXCLUDE,
+  loadLearnings,
+  testPatterns,
+  scanSource,
+  scanTree
+} = require('./lib/learnings');
+
+function parseArgs(argv) {
+  const args = {
+    command: null,
+    targets: [],
+    include: [],
+    exclude: [],
+    content: null,
+    learningsPath: DEFAULT_LEARNINGS_PATH,
+    root: process.cwd(),
+    json: false,
+    help: false
+  };
+  const value = (i, flag) => {
+    if (argv[i] === undefined) throw new Error(`${flag} requires a value`);
+    return argv[i];
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--include') args.include.push(value(++i, arg));
+    else if (arg === '--exclude') args.exclude.push(value(++i, arg));
+    else if (arg === '--content') args.content = value(++i, arg);
+    else if (arg === '--learnings') args.learningsPath = value(++i, arg);
+    else if (arg === '--root') args.root = value(++i, arg);
+    else if (arg === '--json') args.json = true;
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (arg.startsWith('-')) throw new Error(`Unknown option: ${arg}`);
+    else if (!args.command) args.command = arg;
+    else args.targets.push(arg);
+  }
+
+  if (!args.help) {
+    if (!['list', 'test', 'scan'].includes(args.command)) throw new Error('Command must be "list", "test" or "scan"');
+    if (args.command !== 'scan' && (args.include.length > 0 || args.exclude.length > 0)) {
+      throw new Error('--include/--exclude only apply to scan');
+    }
+    if (args.content !== null && args.command !== 'test') throw new Error('--content only applies to test');
+  }
+  return args;
+}
+
+function printHelp() {
+  console.log('Usage:');
+  console.log('  node learnings.js list');
+  console.log('  node learnings.js test [<BP-ID>...] [--content <text>]');
+  console.log('  node learnings.js scan [<path>...] [--include <glob>]... [--exclude <glob>]... [--json]');
+  console.log('');
+  console.log('Suppress a match with a comment on its line or the line before:');
+  console.log('  // learnings-disable-line BP-001');
+  console.log('  // learnings-disable-next-line BP-001, BP-006');
+  console.log('');
+  console.log('Options:');
+  console.log(`  --include <glob>    Files to scan (default: ${DEFAULT_INCLUDE.join(', ')})`);
+  console.log(`  --exclude <glob>    Also skip these (always skipped: ${DEFAULT_EXCLUDE.join(', ')})`);
+  console.log('  --content <text>    Test the selected patterns against this text instead of the examples');
+  console.log(`  --learnings <path>  LEARNINGS.md (default: ${DEFAULT_LEARNINGS_PATH})`);
+  console.log('  --root <dir>        Directory to scan from (default: current directory)');
+  console.log('  --json              Print scan results as JSON');
+  console.log('  --help, -h          Show this help message');
+}
+
+function loadPatterns(args) {
+  const { patterns, errors } = loadLearnings(args.learningsPath);
+  if (errors.length > 0) {
+    for (const error of errors) console.log(`  ✗ ${args.learningsPath}:${error.line} ${error.id}: ${error.message}`);
+    throw new Error(`${args.learningsPath} has ${errors.length} invalid pattern definition(s)`);
+  }
+  return patterns;
+}
+
+function selectPatterns(patterns, ids) {
+  for (const id of ids) {
+    if (!patterns.some(pattern => pattern.id === id)) throw new Error(`Unknown pattern ${id}`);
+  }
+  return ids.length > 0 ? patterns.filter(pattern => ids.includes(pattern.id)) : patterns;
+}
+
+function list(args) {
+  const patterns = loadPatterns(args);
+  for (const pattern of patterns) {
+    console.log(`${pattern.id}  /${pattern.signature}/`);
+    console.log(`        ${pattern.solution}`);
+  }
+  console.log(`\n${patterns.length} block pattern(s)`);
+  return true;
+}
+
+function test(args) {
+  const patterns = selectPatterns(loadPatterns(args), args.targets);
+
+  if (args.content !== null) {
+    const { matches } = scanSource(args.content, patterns, '(content)');
+    for (const match of matches) console.log(`✗ ${match.id} matches at ${match.line}:${match.column}: ${match.text}`);
+    if (matches.length === 0) console.log(`✓ No pattern matches (${patterns.length} checked)`);
+    return matches.length === 0;
+  }
+
+  const results = testPatterns(patterns);
+  for (const result of results) {
+    if (result.examples === 0) {
+      console.log(`⚠ ${result.id}: no examples - add **Matches** / **Does not match** lines`);
+    } else if (result.failures.length === 0) {
+      console.log(`✓ ${result.id}: ${result.examples} example(s)`);
+    } else {
+      console.log(`✗ ${result.id}: ${result.failures.length} of ${result.examples} example(s) failed`);
+      for (const failure of result.failures) console.log(`    ✗ \`${failure.example}\` ${failure.message}`);
+    }
+  }
+  const failed = results.filter(result => result.failures.length > 0).length;
+  console.log(`\n${results.length - failed}/${results.length} pattern(s) pass their examples`);
+  return failed === 0;
+}
+
+function scan(args) {
+  const patterns = loadPatterns(args);
+  const result = scanTree(args.root, patterns, { paths: args.targets, include: args.include, exclude: args.exclude });
+
+  if (args.json) {
+    console.log(JSON.stringify({ ok: result.matches.length === 0, ...result }, null, 2));
+    return result.matches.length === 0;
+  }
+
+  let lastFile = null;
+  for (const match of result.matches) {
+    if (match.file !== lastFile) {
+      console.log(`\n${match.file}`);
+      lastFile = match.file;
+    }
+    console.log(`  ✗ ${match.line}:${match.column} ${match.id} ${match.text.trim()}`);
+    console.log(`      Solution: ${match.solution}`);
+  }
+  for (const file of result.skipped) console.log(`⚠ Skipped ${file} (larger than 1MB)`);
+
+  const files = new Set(result.matches.map(match => match.file)).size;
+  const suppressed = result.suppressed > 0 ? `, ${result.suppressed} suppressed` : '';
+  console.log(`\n${result.matches.length} match(es) in ${files} of ${result.files} file(s)${suppressed} - ` +
+    `${patterns.length} pattern(s) from ${path.relative(args.root, path.resolve(args.learningsPath))}`);
+  if (result.matches.length > 0) console.log('BLOCKED: fix the matches or suppress them with a learnings-disable comment');
+  return result.matches.length === 0;
+}
+
+if (require.main === module) {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.log(`ERROR: ${e.message}`);
+    process.exit(1);
+  }
+
+  if (args.help) {
+    printHelp();
+    process.exit(0);
+  }
+
+  try {
+    const commands = { list, test, scan };
+    process.exit(commands[args.command](args) ? 0 : 1);
+  } catch (e) {
+    console.log(`ERROR: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { parseArgs };
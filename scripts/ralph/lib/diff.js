@@ -0,0 +1,68 @@
+/**
+ * Structural JSON diff
+ *
+ * Compares two JSON values and returns a flat list of changes:
+ *   { op: 'add' | 'remove' | 'change', path: 'tasks[0].stories[1].id', before, after }
+ *
+ * Key order is ignored - only values are compared.
+ */
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function joinPath(base, key) {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+}
+
+function diff(before, after, basePath = '', changes = []) {
+  if (isObject(before) && isObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const key of keys) {
+      const p = joinPath(basePath, key);
+      if (!(key in after)) {
+        changes.push({ op: 'remove', path: p, before: before[key] });
+      } else if (!(key in before)) {
+        changes.push({ op: 'add', path: p, after: after[key] });
+      } else {
+        diff(before[key], after[key], p, changes);
+      }
+    }
+    return changes;
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const length = Math.max(before.length, after.length);
+    for (let i = 0; i < length; i++) {
+      const p = joinPath(basePath, i);
+      if (i >= after.length) {
+        changes.push({ op: 'remove', path: p, before: before[i] });
+      } else if (i >= before.length) {
+        changes.push({ op: 'add', path: p, after: after[i] });
+      } else {
+        diff(before[i], after[i], p, changes);
+      }
+    }
+    return changes;
+  }
+
+  if (JSON.stringify(before) !== JSON.stringify(after)) {
+    changes.push({ op: 'change', path: basePath || '(root)', before, after });
+  }
+  return changes;
+}
+
+function formatChange(change) {
+  const show = value => JSON.stringify(value);
+  switch (change.op) {
+    case 'add':
+      return `  + ${change.path}: ${show(change.after)}`;
+    case 'remove':
+      return `  - ${change.path}: ${show(change.before)}`;
+    default:
+      return `  ~ ${change.path}: ${show(change.before)} → ${show(change.after)}`;
+  }
+}
+
+module.exports = { diff, formatChange };
@@ -0,0 +1,366 @@
+/**
+ * Evidence packages (scripts/ralph/evidence/<story>.json)
+ *
+ * build: assembles the package from real sources only -
+ *   - acceptance criteria from prd.json
+ *   - test results from the Playwright JSON reporter (verification/test-results.json)
+ *   - code snippets read from the source file at the given line range
+ *   - screenshots from disk
+ *   Every screenshot and snippet gets a SHA-256 hash.
+ *
+ * verify: checks a package before it goes to review -
+ *   - snippet content edited after collection (hash mismatch → tampered)
+ *   - source no longer matches the snippet (stale)
+ *   - screenshot missing, changed, tiny, corrupt, blank/placeholder, or reused by another story
+ *
+ * Verify issues: { level: 'error' | 'warning', check, target, message }
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { allStories } = require('./prd');
+const { imageInfo, pngColorStats } = require('./image');
+
+const DEFAULT_EVIDENCE_DIR = path.join('scripts', 'ralph', 'evidence');
+const DEFAULT_TEST_RESULTS = path.join('verification', 'test-results.json');
+const SCREENSHOT_EXTENSIONS = ['.png', '.jpg', '.jpeg'];
+
+// A real page screenshot is bigger than this and not one flat colour
+const LIMITS = {
+  min_bytes: 2048,
+  min_width: 320,
+  min_height: 200,
+  max_dominant_ratio: 0.97
+};
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function parseLines(lines) {
+  const match = /^(\d+)(?:-(\d+))?$/.exec(String(lines).trim());
+  if (!match) throw new Error(`Invalid line range "${lines}" (expected START-END)`);
+  const start = Number(match[1]);
+  const end = Number(match[2] || match[1]);
+  if (start < 1 || end < start) throw new Error(`Invalid line range "${lines}"`);
+  return { start, end };
+}
+
+/**
+ * Lines start..end (1-based, inclusive) of a file, or null if the file is missing
+ */
+function readRange(root, file, lines) {
+  const fullPath = path.resolve(root, file);
+  if (!fs.existsSync(fullPath)) return null;
+  const { start, end } = parseLines(lines);
+  const all = fs.readFileSync(fullPath, 'utf8').split(/\r?\n/);
+  if (end > all.length) {
+    throw new Error(`${file} has ${all.length} lines, cannot read ${lines}`);
+  }
+  return all.slice(start - 1, end).join('\n');
+}
+
+/**
+ * Flatten a Playwright JSON report: one entry per test per project.
+ * title_path is the describe titles plus the test title (file-level suite excluded).
+ */
+function reportTests(report) {
+  const tests = [];
+
+  function walk(suite, titles, file) {
+    const suiteFile = suite.file || file;
+    const suiteTitles = suite.title && suite.title !== suiteFile ? [...titles, suite.title] : titles;
+
+    for (const spec of suite.specs || []) {
+      const titlePath = [...suiteTitles, spec.title];
+      for (const test of spec.tests || []) {
+        const results = test.results || [];
+        const last = results[results.length - 1] || {};
+        const status = { expected: 'passed', unexpected: 'failed', flaky: 'flaky', skipped: 'skipped' }[test.status]
+          || last.status || 'unknown';
+        tests.push({
+          title_path: titlePath,
+          file: spec.file || suiteFile || '',
+          line: spec.line ?? null,
+          project: test.projectName || null,
+          status,
+          duration_ms: last.duration ?? null,
+          error: last.error ? String(last.error.message || last.error).split('\n')[0] : null
+        });
+      }
+    }
+    for (const child of suite.suites || []) walk(child, suiteTitles, suiteFile);
+  }
+
+  for (const suite of report.suites || []) walk(suite, [], suite.file);
+  return tests;
+}
+
+/**
+ * Whether text names the story as a whole ID: US-001 does not match US-0010
+ */
+function mentionsStory(text, storyId) {
+  const escaped = storyId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^A-Za-z0-9])${escaped}([^0-9]|$)`, 'i').test(text);
+}
+
+/**
+ * The report tests belonging to one story. A test belongs to the story when
+ * the ID appears in its file name, a describe block or its own title.
+ */
+function storyTests(report, storyId) {
+  return reportTests(report)
+    .filter(test => mentionsStory(path.basename(test.file), storyId) ||
+      test.title_path.some(title => mentionsStory(title, storyId)))
+    .map(test => ({
+      title: test.title_path.join(' › '),
+      file: test.file,
+      project: test.project,
+      status: test.status,
+      duration_ms: test.duration_ms,
+      error: test.error
+    }));
+}
+
+function summarizeTests(tests) {
+  const summary = { total: tests.length, passed: 0, failed: 0, flaky: 0, skipped: 0 };
+  for (const test of tests) {
+    if (summary[test.status] !== undefined) summary[test.status]++;
+  }
+  return summary;
+}
+
+/**
+ * List-reporter style text, like the playwright_output in hand-made packages
+ */
+function formatPlaywrightOutput(tests) {
+  const icons = { passed: '✓', failed: '✘', flaky: '±', skipped: '-' };
+  const seconds = ms => (ms === null ? '' : ` (${(ms / 1000).toFixed(1)}s)`);
+  const summary = summarizeTests(tests);
+  const totalMs = tests.reduce((sum, test) => sum + (test.duration_ms || 0), 0);
+
+  const lines = [`Running ${tests.length} tests`, ''];
+  for (const test of tests) {
+    lines.push(`  ${icons[test.status] || '?'} ${test.title}${seconds(test.duration_ms)}`);
+    if (test.error) lines.push(`      ${test.error}`);
+  }
+  lines.push('');
+  const parts = ['passed', 'failed', 'flaky', 'skipped'].filter(key => summary[key] > 0).map(key => `${summary[key]} ${key}`);
+  lines.push(`  ${parts.join(', ') || '0 passed'} (${(totalMs / 1000).toFixed(1)}s)`);
+  return lines.join('\n');
+}
+
+function describeScreenshot(root, screenshotPath, description) {
+  const fullPath = path.resolve(root, screenshotPath);
+  if (!fs.existsSync(fullPath)) throw new Error(`Screenshot not found: ${screenshotPath}`);
+  const buffer = fs.readFileSync(fullPath);
+  const info = imageInfo(buffer);
+  return {
+    name: path.basename(screenshotPath),
+    description: description || '',
+    path: screenshotPath,
+    sha256: sha256(buffer),
+    bytes: buffer.length,
+    width: info.width,
+    height: info.height
+  };
+}
+
+/**
+ * Build the evidence package for one story.
+ *
+ * options: { root, report, snippets: [{ file, lines }], screenshots: [{ path, description }],
+ *            evidenceDir, existing, now }
+ */
+function buildEvidence(prd, storyId, options) {
+  const root = options.root || process.cwd();
+  const found = allStories(prd).find(({ story }) => story.id === storyId);
+  if (!found) throw new Error(`Story ${storyId} not found in prd.json`);
+  const { story } = found;
+
+  const tests = storyTests(options.report, storyId);
+  if (tests.length === 0) {
+    throw new Error(`No Playwright results for ${storyId} in the test report - run its spec first`);
+  }
+
+  let screenshots = options.screenshots || [];
+  if (screenshots.length === 0) {
+    const dir = path.join(options.evidenceDir || DEFAULT_EVIDENCE_DIR, 'screenshots', storyId);
+    if (fs.existsSync(path.resolve(root, dir))) {
+      screenshots = fs.readdirSync(path.resolve(root, dir))
+        .filter(name => SCREENSHOT_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+        .sort()
+        .map(name => ({ path: path.join(dir, name).split(path.sep).join('/') }));
+    }
+  }
+  const previous = new Map(((options.existing || {}).screenshots || []).map(s => [s.path, s.description]));
+
+  const codeSnippets = (options.snippets || []).map(({ file, lines }) => {
+    const content = readRange(root, file, lines);
+    if (content === null) throw new Error(`Snippet source not found: ${file}`);
+    return { file, lines, content, sha256: sha256(content) };
+  });
+
+  return {
+    // Keep hand-collected sections the builder does not produce (db_queries, network_log, ...)
+    ...(options.existing || {}),
+    story_id: story.id,
+    title: story.title,
+    acceptance_criteria: story.acceptanceCriteria || [],
+    collected_at: (options.now || new Date()).toISOString(),
+    screenshots: screenshots.map(s =>
+      describeScreenshot(root, s.path, s.description || previous.get(s.path))),
+    playwright_output: formatPlaywrightOutput(tests),
+    tests,
+    test_summary: summarizeTests(tests),
+    code_snippets: codeSnippets,
+    integrity: { algorithm: 'sha256' }
+  };
+}
+
+function loadEvidenceDir(evidenceDir) {
+  if (!fs.existsSync(evidenceDir)) return [];
+  return fs.readdirSync(evidenceDir)
+    .filter(name => name.endsWith('.json'))
+    .sort()
+    .map(name => {
+      const file = path.join(evidenceDir, name);
+      try {
+        return { file, evidence: JSON.parse(fs.readFileSync(file, 'utf8')) };
+      } catch (e) {
+        throw new Error(`Failed to parse ${file}: ${e.message}`);
+      }
+    });
+}
+
+/**
+ * sha256 of each screenshot file on disk → story IDs using it
+ */
+function screenshotOwners(packages, root) {
+  const owners = new Map();
+  for (const { evidence } of packages) {
+    for (const screenshot of evidence.screenshots || []) {
+      const fullPath = path.resolve(root, screenshot.path || '');
+      if (!screenshot.path || !fs.existsSync(fullPath)) continue;
+      const hash = sha256(fs.readFileSync(fullPath));
+      if (!owners.has(hash)) owners.set(hash, new Set());
+      owners.get(hash).add(evidence.story_id);
+    }
+  }
+  return owners;
+}
+
+function verifyScreenshot(screenshot, root, owners, storyId, limits, issues) {
+  const target = screenshot.path || screenshot.name || '(unnamed screenshot)';
+  const error = (check, message) => issues.push({ level: 'error', check, target, message });
+  const warning = (check, message) => issues.push({ level: 'warning', check, target, message });
+
+  if (!screenshot.path || !fs.existsSync(path.resolve(root, screenshot.path))) {
+    error('screenshot-missing', 'screenshot file not found');
+    return;
+  }
+
+  const buffer = fs.readFileSync(path.resolve(root, screenshot.path));
+  const hash = sha256(buffer);
+  if (!screenshot.sha256) warning('screenshot-unhashed', 'no sha256 recorded - package was not built by evidence.js');
+  else if (screenshot.sha256 !== hash) error('screenshot-changed', 'file changed since the package was built');
+
+  const info = imageInfo(buffer);
+  if (info.format === 'unknown') {
+    error('screenshot-format', 'not a PNG or JPEG image');
+    return;
+  }
+  if (buffer.length < limits.min_bytes) {
+    error('screenshot-tiny', `only ${buffer.length} bytes (min ${limits.min_bytes})`);
+  }
+  if (info.width !== null && (info.width < limits.min_width || info.height < limits.min_height)) {
+    error('screenshot-tiny', `${info.width}x${info.height} (min ${limits.min_width}x${limits.min_height})`);
+  }
+
+  if (info.format === 'png') {
+    let stats;
+    try {
+      stats = pngColorStats(buffer);
+    } catch (e) {
+      error('screenshot-corrupt', e.message);
+    }
+    if (stats && stats.dominant_ratio >= limits.max_dominant_ratio) {
+      error('screenshot-blank',
+        `${(stats.dominant_ratio * 100).toFixed(1)}% of pixels are one colour - blank or placeholder image`);
+    }
+  }
+
+  const others = [...(owners.get(hash) || [])].filter(id => id !== storyId);
+  if (others.length > 0) error('screenshot-reused', `same image is used as evidence for ${others.join(', ')}`);
+}
+
+function verifySnippet(snippet, root, issues) {
+  const target = `${snippet.file}:${snippet.lines}`;
+  const error = (check, message) => issues.push({ level: 'error', check, target, message });
+
+  if (snippet.sha256 && sha256(snippet.content || '') !== snippet.sha256) {
+    error('snippet-tampered', 'content does not match its recorded sha256 - edited after collection');
+  } else if (!snippet.sha256) {
+    issues.push({ level: 'warning', check: 'snippet-unhashed', target, message: 'no sha256 recorded - package was not built by evidence.js' });
+  }
+
+  let current;
+  try {
+    current = readRange(root, snippet.file, snippet.lines);
+  } catch (e) {
+    error('snippet-stale', e.message);
+    return;
+  }
+  if (current === null) {
+    error('snippet-source-missing', 'source file not found');
+  } else if (current !== snippet.content) {
+    error('snippet-stale', 'source at these lines no longer matches the snippet');
+  }
+}
+
+/**
+ * Verify one evidence package.
+ *
+ * options: { root, packages (all evidence files, for reuse detection), limits }
+ */
+function verifyEvidence(evidence, options = {}) {
+  const root = options.root || process.cwd();
+  const limits = { ...LIMITS, ...(options.limits || {}) };
+  const owners = screenshotOwners(options.packages || [], root);
+  const issues = [];
+
+  if ((evidence.screenshots || []).length === 0) {
+    issues.push({ level: 'error', check: 'screenshot-missing', target: evidence.story_id, message: 'package has no screenshots' });
+  }
+  for (const screenshot of evidence.screenshots || []) {
+    verifyScreenshot(screenshot, root, owners, evidence.story_id, limits, issues);
+  }
+  for (const snippet of evidence.code_snippets || []) {
+    verifySnippet(snippet, root, issues);
+  }
+
+  if (evidence.test_summary && evidence.test_summary.failed > 0) {
+    issues.push({
+      level: 'error',
+      check: 'tests-failing',
+      target: evidence.story_id,
+      message: `${evidence.test_summary.failed} test(s) failed`
+    });
+  }
+  return issues;
+}
+
+module.exports = {
+  DEFAULT_EVIDENCE_DIR,
+  DEFAULT_TEST_RESULTS,
+  LIMITS,
+  sha256,
+  reportTests,
+  mentionsStory,
+  storyTests,
+  formatPlaywrightOutput,
+  buildEvidence,
+  loadEvidenceDir,
+  verifyEvidence
+};
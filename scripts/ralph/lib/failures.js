@@ -0,0 +1,89 @@
+/**
+ * Failure clustering
+ *
+ * Groups free-text failure descriptions (review blocking_issues) that talk
+ * about the same problem. No model involved: issues are reduced to keyword
+ * sets and joined when their Jaccard similarity passes a threshold
+ * (single-link). Each cluster is labelled with the keywords its members share.
+ */
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'do', 'does',
+  'for', 'from', 'has', 'have', 'in', 'into', 'is', 'it', 'its', 'must', 'no', 'not',
+  'of', 'on', 'or', 'should', 'than', 'that', 'the', 'their', 'there', 'this', 'to',
+  'was', 'were', 'which', 'while', 'with', 'any', 'all', 'only', 'also', 'between',
+  'actual', 'provided', 'required', 'shown', 'show', 'shows'
+]);
+
+const DEFAULT_THRESHOLD = 0.25;
+
+function keywords(text) {
+  return new Set(
+    String(text)
+      .toLowerCase()
+      .replace(/[^a-z0-9\s-]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word.length > 2 && !STOPWORDS.has(word))
+      .map(word => (word.length > 4 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word))
+  );
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 0;
+  let shared = 0;
+  for (const word of a) if (b.has(word)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * issues: [{ text, story_id }]
+ * → [{ label, count, stories, examples }] sorted by count (desc)
+ */
+function clusterIssues(issues, threshold = DEFAULT_THRESHOLD) {
+  const items = issues.map(issue => ({ ...issue, words: keywords(issue.text) }));
+  const parent = items.map((_, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      if (jaccard(items[i].words, items[j].words) >= threshold) {
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const groups = new Map();
+  items.forEach((item, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(item);
+  });
+
+  return [...groups.values()]
+    .map(members => {
+      // Singletons keep their own wording; clusters use the keywords they share
+      let label = members[0].text.length > 60 ? `${members[0].text.slice(0, 57)}...` : members[0].text;
+      if (members.length > 1) {
+        const frequency = new Map();
+        for (const member of members) {
+          for (const word of member.words) frequency.set(word, (frequency.get(word) || 0) + 1);
+        }
+        label = [...frequency.entries()]
+          .filter(([, count]) => count > 1)
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 3)
+          .map(([word]) => word)
+          .join(' / ');
+      }
+
+      return {
+        label: label || '(empty)',
+        count: members.length,
+        stories: [...new Set(members.map(m => m.story_id))].sort(),
+        examples: members.slice(0, 3).map(m => m.text)
+      };
+    })
+    .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+}
+
+module.exports = { DEFAULT_THRESHOLD, keywords, clusterIssues };
@@ -0,0 +1,52 @@
+/**
+ * Minimal glob matching for include/exclude filters
+ *
+ *   **   any number of directories     *    anything except /
+ *   ?    one character except /        {a,b} alternatives
+ *
+ * A glob without a / matches the base name at any depth (like .gitignore),
+ * so `node_modules` or `*.min.js` work without a leading **.
+ */
+
+function escapeRegExp(text) {
+  return text.replace(/[.+^$()|[\]\\]/g, '\\$&');
+}
+
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      i++;
+      if (glob[i + 1] === '/') {
+        i++;
+        source += '(?:.*/)?';
+      } else {
+        source += '.*';
+      }
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else if (ch === '{') {
+      const end = glob.indexOf('}', i);
+      if (end === -1) throw new Error(`Unclosed { in glob "${glob}"`);
+      source += `(?:${glob.slice(i + 1, end).split(',').map(escapeRegExp).join('|')})`;
+      i = end;
+    } else {
+      source += escapeRegExp(ch);
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * globs → (relativePath) => boolean. Paths use / separators.
+ */
+function globMatcher(globs) {
+  const compiled = globs.map(glob => ({ anchored: glob.includes('/'), regex: globToRegExp(glob.replace(/^\.\//, '')) }));
+  return file => compiled.some(({ anchored, regex }) =>
+    regex.test(anchored ? file : file.slice(file.lastIndexOf('/') + 1)));
+}
+
+module.exports = { globToRegExp, globMatcher };
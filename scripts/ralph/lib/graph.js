@@ -0,0 +1,53 @@
+/**
+ * Story dependency graph helpers
+ *
+ * Stories are nodes, `depends_on` entries are edges. IDs are global
+ * across all tasks in prd.json.
+ */
+
+const { allStories } = require('./prd');
+
+/**
+ * Map of story ID → { story, task, deps: [ids] }
+ * Duplicate IDs keep the first occurrence (validate.js reports the rest).
+ */
+function buildStoryGraph(prd) {
+  const graph = new Map();
+  for (const { task, story } of allStories(prd)) {
+    if (!story.id || graph.has(story.id)) continue;
+    graph.set(story.id, { story, task, deps: story.depends_on || [] });
+  }
+  return graph;
+}
+
+/**
+ * All dependency cycles, each as a list of IDs: ['US-001', 'US-002', 'US-001']
+ * Edges to unknown stories are ignored.
+ */
+function findCycles(graph) {
+  const cycles = [];
+  const state = new Map(); // id → 'visiting' | 'done'
+  const stack = [];
+
+  function visit(id) {
+    state.set(id, 'visiting');
+    stack.push(id);
+    for (const dep of graph.get(id).deps) {
+      if (!graph.has(dep)) continue;
+      if (state.get(dep) === 'visiting') {
+        cycles.push([...stack.slice(stack.indexOf(dep)), dep]);
+      } else if (!state.has(dep)) {
+        visit(dep);
+      }
+    }
+    stack.pop();
+    state.set(id, 'done');
+  }
+
+  for (const id of graph.keys()) {
+    if (!state.has(id)) visit(id);
+  }
+  return cycles;
+}
+
+module.exports = { buildStoryGraph, findCycles };
@@ -0,0 +1,128 @@
+/**
+ * Screenshot inspection (no dependencies)
+ *
+ * - imageInfo(): format + dimensions for PNG and JPEG
+ * - pngColorStats(): decodes 8-bit PNGs (zlib + scanline filters) and reports
+ *   how much of the image is a single colour - placeholder and blank
+ *   screenshots are almost entirely one colour
+ */
+
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+function pngChunks(buffer) {
+  const chunks = [];
+  let offset = 8;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    chunks.push({ type, data: buffer.subarray(offset + 8, offset + 8 + length) });
+    offset += 12 + length;
+    if (type === 'IEND') break;
+  }
+  return chunks;
+}
+
+function jpegSize(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+    // SOF0-SOF15 except DHT (C4), JPG (C8), DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+/**
+ * { format: 'png' | 'jpeg' | 'unknown', width, height }
+ */
+function imageInfo(buffer) {
+  if (buffer.length >= 24 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return { format: 'png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    const size = jpegSize(buffer);
+    return { format: 'jpeg', width: size ? size.width : null, height: size ? size.height : null };
+  }
+  return { format: 'unknown', width: null, height: null };
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/**
+ * Colour statistics for 8-bit, non-interlaced PNGs.
+ * Returns null for formats it cannot decode (16-bit, interlaced, <8-bit).
+ * Throws on truncated or corrupt image data.
+ *
+ * { dominant_ratio: 0..1, distinct_colors }
+ */
+function pngColorStats(buffer) {
+  const chunks = pngChunks(buffer);
+  const header = chunks.find(chunk => chunk.type === 'IHDR');
+  if (!header) return null;
+  if (header.data.length < 13) throw new Error('corrupt PNG: IHDR chunk is truncated');
+
+  const width = header.data.readUInt32BE(0);
+  const height = header.data.readUInt32BE(4);
+  const bitDepth = header.data[8];
+  const colorType = header.data[9];
+  const interlace = header.data[12];
+  const channelsByType = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+  const channels = channelsByType[colorType];
+  if (bitDepth !== 8 || interlace !== 0 || !channels) return null;
+
+  let raw;
+  try {
+    raw = zlib.inflateSync(Buffer.concat(chunks.filter(c => c.type === 'IDAT').map(c => c.data)));
+  } catch (e) {
+    throw new Error(`corrupt PNG: image data does not decompress (${e.message})`);
+  }
+  const stride = width * channels;
+  if (raw.length < (stride + 1) * height) {
+    throw new Error(`corrupt PNG: image data is truncated (${raw.length} of ${(stride + 1) * height} bytes)`);
+  }
+  const pixels = Buffer.alloc(stride * height);
+
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const out = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const left = x >= channels ? pixels[out + x - channels] : 0;
+      const up = y > 0 ? pixels[out - stride + x] : 0;
+      const upLeft = y > 0 && x >= channels ? pixels[out - stride + x - channels] : 0;
+      let value = line[x];
+      if (filter === 1) value += left;
+      else if (filter === 2) value += up;
+      else if (filter === 3) value += (left + up) >> 1;
+      else if (filter === 4) value += paeth(left, up, upLeft);
+      pixels[out + x] = value & 0xff;
+    }
+  }
+
+  const counts = new Map();
+  const total = width * height;
+  for (let i = 0; i < total; i++) {
+    const key = pixels.readUIntBE(i * channels, channels);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  let dominant = 0;
+  for (const n of counts.values()) if (n > dominant) dominant = n;
+
+  return { dominant_ratio: total > 0 ? dominant / total : 1, distinct_colors: counts.size };
+}
+
+module.exports = { imageInfo, pngColorStats };
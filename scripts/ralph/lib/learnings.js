@@ -0,0 +1,274 @@
+/**
+ * LEARNINGS.md block patterns
+ *
+ * parseLearnings(): reads the BLOCK-PATTERN entries
+ *
+ *   ## BLOCK-PATTERN: BP-XXX
+ *   **Signature**: `regex`
+ *   **Solution**: How to fix the issue
+ *   **Context**: Why this pattern is problematic
+ *   **Matches**: `code the signature must match`         (repeatable)
+ *   **Does not match**: `code it must not match`         (repeatable)
+ *
+ * Fenced and indented code blocks are ignored, so format examples are not
+ * mistaken for patterns. Invalid regexes, regexes that match the empty
+ * string, duplicate IDs and missing fields are reported as errors.
+ *
+ * scanSource() / scanTree(): report signature matches with the Solution.
+ * A match is suppressed by a comment on its line or the line before:
+ *   // learnings-disable-line BP-001
+ *   // learnings-disable-next-line BP-001, BP-006
+ * (no IDs = every pattern).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { globMatcher } = require('./glob');
+
+const DEFAULT_LEARNINGS_PATH = path.join('scripts', 'ralph', 'LEARNINGS.md');
+const DEFAULT_INCLUDE = ['**/*.{js,jsx,ts,tsx,mjs,cjs}'];
+const DEFAULT_EXCLUDE = [
+  'node_modules', '.git', '.next', 'dist', 'build', 'coverage',
+  'verification', 'test-results', 'playwright-report'
+];
+const MAX_FILE_BYTES = 1024 * 1024;
+
+const ID_PATTERN = /^BP-\d{3,}$/;
+const FIELD_PATTERN = /^\*\*(Signature|Solution|Context|Matches|Does not match)\*\*:\s*(.*)$/;
+const SUPPRESS_PATTERN = /learnings-disable-(next-)?line\b(.*)$/;
+
+function inlineCode(text) {
+  const first = text.indexOf('`');
+  const last = text.lastIndexOf('`');
+  return first !== -1 && last > first ? text.slice(first + 1, last) : null;
+}
+
+/**
+ * markdown → { patterns: [{ id, line, signature, regex, solution, context, examples: { match, no_match } }],
+ *              errors: [{ line, id, message }] }
+ * Patterns with errors are left out of `patterns`.
+ */
+function parseLearnings(markdown) {
+  const entries = [];
+  const errors = [];
+  let current = null;
+  let fenced = false;
+
+  markdown.split('\n').forEach((text, index) => {
+    const line = index + 1;
+    if (/^\s*(```|~~~)/.test(text)) {
+      fenced = !fenced;
+      return;
+    }
+    if (fenced || /^( {4}|\t)/.test(text)) return;
+
+    const heading = /^##\s+BLOCK-PATTERN:\s*(.*?)\s*$/.exec(text);
+    if (heading) {
+      current = { id: heading[1], line, signature: null, solution: null, context: null, examples: { match: [], no_match: [] } };
+      entries.push(current);
+      return;
+    }
+    if (/^#{1,6}\s/.test(text) || /^---\s*$/.test(text)) {
+      current = null;
+      return;
+    }
+    if (!current) return;
+
+    const field = FIELD_PATTERN.exec(text.trim());
+    if (!field) return;
+    const [, name, value] = field;
+    if (name === 'Signature') current.signature = inlineCode(value);
+    else if (name === 'Solution') current.solution = value.trim();
+    else if (name === 'Context') current.context = value.trim();
+    else {
+      const example = inlineCode(value);
+      const list = name === 'Matches' ? current.examples.match : current.examples.no_match;
+      if (example === null) errors.push({ line, id: current.id, message: `**${name}** example must be in backticks` });
+      else list.push(example);
+    }
+  });
+
+  const seen = new Map();
+  const patterns = [];
+  for (const entry of entries) {
+    const before = errors.length;
+    const error = message => errors.push({ line: entry.line, id: entry.id, message });
+
+    if (!ID_PATTERN.test(entry.id)) error(`invalid ID "${entry.id}" (expected BP-XXX)`);
+    if (seen.has(entry.id)) error(`duplicate ID - already defined on line ${seen.get(entry.id)}`);
+    else seen.set(entry.id, entry.line);
+    if (!entry.solution) error('missing **Solution**');
+
+    let regex = null;
+    if (!entry.signature) {
+      error('missing **Signature** (regex in backticks)');
+    } else {
+      try {
+        regex = new RegExp(entry.signature, 'g');
+      } catch (e) {
+        error(`invalid Signature regex: ${e.message}`);
+      }
+      if (regex && regex.test('')) error('Signature matches the empty string - it would match every file');
+    }
+
+    if (errors.length === before) patterns.push({ ...entry, regex });
+  }
+
+  return { patterns, errors };
+}
+
+function loadLearnings(learningsPath = DEFAULT_LEARNINGS_PATH) {
+  if (!fs.existsSync(learningsPath)) throw new Error(`${learningsPath} not found`);
+  return parseLearnings(fs.readFileSync(learningsPath, 'utf8'));
+}
+
+function matchesExample(pattern, text) {
+  pattern.regex.lastIndex = 0;
+  const found = pattern.regex.test(text);
+  pattern.regex.lastIndex = 0;
+  return found;
+}
+
+/**
+ * Run each pattern against its embedded examples.
+ * → [{ id, examples, failures: [{ kind: 'match' | 'no_match', example, message }] }]
+ */
+function testPatterns(patterns) {
+  return patterns.map(pattern => {
+    const failures = [];
+    for (const example of pattern.examples.match) {
+      if (!matchesExample(pattern, example)) failures.push({ kind: 'match', example, message: 'should match but does not' });
+    }
+    for (const example of pattern.examples.no_match) {
+      if (matchesExample(pattern, example)) failures.push({ kind: 'no_match', example, message: 'matches but should not' });
+    }
+    return {
+      id: pattern.id,
+      examples: pattern.examples.match.length + pattern.examples.no_match.length,
+      failures
+    };
+  });
+}
+
+function suppressions(line) {
+  const match = SUPPRESS_PATTERN.exec(line);
+  if (!match) return null;
+  return { nextLine: Boolean(match[1]), ids: match[2].match(/BP-\d+/g) || [] };
+}
+
+function isSuppressed(lines, lineIndex, id) {
+  const same = suppressions(lines[lineIndex] || '');
+  const previous = lineIndex > 0 ? suppressions(lines[lineIndex - 1]) : null;
+  const covers = entry => entry && (entry.ids.length === 0 || entry.ids.includes(id));
+  return (same && !same.nextLine && covers(same)) || (previous && previous.nextLine && covers(previous));
+}
+
+/**
+ * One file's source → { matches: [{ file, line, column, id, text, solution }], suppressed }
+ */
+function scanSource(source, patterns, file) {
+  const lines = source.split('\n');
+  const starts = [0];
+  for (let i = 0; i < source.length; i++) if (source[i] === '\n') starts.push(i + 1);
+  const lineOf = offset => {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (starts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return low;
+  };
+
+  const matches = [];
+  let suppressed = 0;
+  for (const pattern of patterns) {
+    pattern.regex.lastIndex = 0;
+    let match;
+    while ((match = pattern.regex.exec(source)) !== null) {
+      if (match[0].length === 0) pattern.regex.lastIndex++;
+      const lineIndex = lineOf(match.index);
+      if (isSuppressed(lines, lineIndex, pattern.id)) {
+        suppressed++;
+        continue;
+      }
+      matches.push({
+        file,
+        line: lineIndex + 1,
+        column: match.index - starts[lineIndex] + 1,
+        id: pattern.id,
+        text: match[0].split('\n')[0].slice(0, 80),
+        solution: pattern.solution
+      });
+    }
+    pattern.regex.lastIndex = 0;
+  }
+  matches.sort((a, b) => a.line - b.line || a.column - b.column);
+  return { matches, suppressed };
+}
+
+/**
+ * Files to scan, as root-relative / paths.
+ * Directories in `paths` are walked with include/exclude; files named
+ * explicitly are scanned unless excluded.
+ */
+function collectFiles(root, options = {}) {
+  const include = globMatcher(options.include && options.include.length > 0 ? options.include : DEFAULT_INCLUDE);
+  const exclude = globMatcher([...DEFAULT_EXCLUDE, ...(options.exclude || [])]);
+  const files = new Set();
+
+  const walk = relative => {
+    for (const entry of fs.readdirSync(path.resolve(root, relative || '.'), { withFileTypes: true })) {
+      const child = relative ? `${relative}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (!exclude(child) && !exclude(`${child}/`)) walk(child);
+      } else if (entry.isFile() && include(child) && !exclude(child)) {
+        files.add(child);
+      }
+    }
+  };
+
+  for (const target of options.paths && options.paths.length > 0 ? options.paths : ['.']) {
+    const absolute = path.resolve(root, target);
+    if (!fs.existsSync(absolute)) throw new Error(`${target} not found`);
+    const relative = path.relative(root, absolute).split(path.sep).join('/');
+    if (fs.statSync(absolute).isDirectory()) walk(relative);
+    else if (!exclude(relative)) files.add(relative);
+  }
+  return [...files].sort();
+}
+
+/**
+ * → { files: number, matches, suppressed, skipped: [files over MAX_FILE_BYTES] }
+ */
+function scanTree(root, patterns, options = {}) {
+  const files = collectFiles(root, options);
+  const matches = [];
+  const skipped = [];
+  let suppressed = 0;
+
+  for (const file of files) {
+    const absolute = path.resolve(root, file);
+    if (fs.statSync(absolute).size > MAX_FILE_BYTES) {
+      skipped.push(file);
+      continue;
+    }
+    const result = scanSource(fs.readFileSync(absolute, 'utf8'), patterns, file);
+    matches.push(...result.matches);
+    suppressed += result.suppressed;
+  }
+  return { files: files.length, matches, suppressed, skipped };
+}
+
+module.exports = {
+  DEFAULT_LEARNINGS_PATH,
+  DEFAULT_INCLUDE,
+  DEFAULT_EXCLUDE,
+  parseLearnings,
+  loadLearnings,
+  testPatterns,
+  scanSource,
+  collectFiles,
+  scanTree
+};
@@ -0,0 +1,307 @@
+/**
+ * METRICS.json helpers
+ *
+ * Shape:
+ *   {
+ *     version, created_at, updated_at,
+ *     sessions: [{ id, started_at, ended_at }],
+ *     stories: {
+ *       "US-001": {
+ *         iterations, started_at, completed_at, last_attempt_at, time_ms,
+ *         checkpoints: { build_complete: { passed_at, failures } },
+ *         events: [{ type, at, session, checkpoint?, reason? }]
+ *       }
+ *     },
+ *     aggregate: { total_stories, completed_stories, total_iterations, total_time_ms,
+ *                  avg_iterations, common_failures }
+ *   }
+ *
+ * Event types: started | attempt | checkpoint_passed | checkpoint_failed | completed
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { allStories } = require('./prd');
+const { clusterIssues } = require('./failures');
+
+const DEFAULT_METRICS_PATH = path.join('scripts', 'ralph', 'METRICS.json');
+
+const EVENT_TYPES = ['started', 'attempt', 'checkpoint_passed', 'checkpoint_failed', 'completed'];
+
+function emptyMetrics() {
+  return {
+    version: '3.0',
+    created_at: null,
+    updated_at: null,
+    sessions: [],
+    stories: {},
+    aggregate: {
+      total_stories: 0,
+      completed_stories: 0,
+      total_iterations: 0,
+      total_time_ms: 0,
+      avg_iterations: 0,
+      common_failures: []
+    }
+  };
+}
+
+/**
+ * Missing file → empty metrics (nothing recorded yet)
+ */
+function loadMetrics(metricsPath) {
+  if (!fs.existsSync(metricsPath)) return emptyMetrics();
+
+  try {
+    return { ...emptyMetrics(), ...JSON.parse(fs.readFileSync(metricsPath, 'utf8')) };
+  } catch (e) {
+    throw new Error(`Failed to parse ${metricsPath}: ${e.message}`);
+  }
+}
+
+function saveMetrics(metricsPath, metrics) {
+  fs.writeFileSync(metricsPath, JSON.stringify(metrics, null, 2) + '\n');
+}
+
+/**
+ * Copy of prd with METRICS.json iterations/timestamps merged into story.metrics
+ */
+function mergeMetrics(prd, metrics) {
+  const merged = JSON.parse(JSON.stringify(prd));
+  for (const { story } of allStories(merged)) {
+    const recorded = (metrics.stories || {})[story.id];
+    if (!recorded) continue;
+    const own = story.metrics || {};
+    story.metrics = {
+      ...own,
+      iterations: Math.max(own.iterations || 0, recorded.iterations || 0),
+      started_at: recorded.started_at || own.started_at || null,
+      completed_at: recorded.completed_at || own.completed_at || null,
+      last_attempt_at: recorded.last_attempt_at || own.last_attempt_at || null
+    };
+  }
+  return merged;
+}
+
+function openSession(metrics) {
+  const sessions = metrics.sessions || [];
+  const last = sessions[sessions.length - 1];
+  return last && !last.ended_at ? last : null;
+}
+
+function startSession(metrics, at = new Date().toISOString()) {
+  metrics.sessions = metrics.sessions || [];
+  const current = openSession(metrics);
+  if (current) current.ended_at = at;
+  const session = { id: metrics.sessions.length + 1, started_at: at, ended_at: null };
+  metrics.sessions.push(session);
+  metrics.created_at = metrics.created_at || at;
+  metrics.updated_at = at;
+  return session;
+}
+
+function endSession(metrics, at = new Date().toISOString()) {
+  const current = openSession(metrics);
+  if (!current) throw new Error('No open session to end');
+  current.ended_at = at;
+  metrics.updated_at = at;
+  return current;
+}
+
+/**
+ * Apply one lifecycle event to METRICS.json (mutates and returns the story entry)
+ *
+ * event: { type, story, at?, checkpoint?, reason? }
+ */
+function recordEvent(metrics, event) {
+  if (!EVENT_TYPES.includes(event.type)) {
+    throw new Error(`Unknown event "${event.type}" (expected: ${EVENT_TYPES.join(', ')})`);
+  }
+  if (!event.story) throw new Error('Event requires a story ID');
+  if (event.type.startsWith('checkpoint_') && !event.checkpoint) {
+    throw new Error(`${event.type} requires a checkpoint name`);
+  }
+
+  const at = event.at || new Date().toISOString();
+  metrics.stories = metrics.stories || {};
+  const entry = metrics.stories[event.story] = metrics.stories[event.story] || {
+    iterations: 0,
+    started_at: null,
+    completed_at: null,
+    last_attempt_at: null,
+    time_ms: null,
+    checkpoints: {},
+    events: []
+  };
+
+  switch (event.type) {
+    case 'started':
+      entry.started_at = entry.started_at || at;
+      break;
+    case 'attempt':
+      entry.started_at = entry.started_at || at;
+      entry.iterations += 1;
+      entry.last_attempt_at = at;
+      break;
+    case 'checkpoint_passed': {
+      const checkpoint = entry.checkpoints[event.checkpoint] = entry.checkpoints[event.checkpoint] || { failures: 0 };
+      checkpoint.passed_at = at;
+      break;
+    }
+    case 'checkpoint_failed': {
+      const checkpoint = entry.checkpoints[event.checkpoint] = entry.checkpoints[event.checkpoint] || { failures: 0 };
+      checkpoint.failures += 1;
+      checkpoint.last_failure = event.reason || null;
+      break;
+    }
+    case 'completed':
+      entry.started_at = entry.started_at || at;
+      entry.completed_at = at;
+      entry.time_ms = Date.parse(at) - Date.parse(entry.started_at);
+      break;
+  }
+
+  const session = openSession(metrics);
+  const record = { type: event.type, at, session: session ? session.id : null };
+  if (event.checkpoint) record.checkpoint = event.checkpoint;
+  if (event.reason) record.reason = event.reason;
+  entry.events.push(record);
+
+  metrics.created_at = metrics.created_at || at;
+  metrics.updated_at = at;
+  return entry;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Recompute metrics.aggregate.
+ *
+ * prd (optional) supplies the story list and pre-METRICS story.metrics;
+ * reviews (from lib/reviews.js) supply blocking_issues for common_failures.
+ */
+function recomputeAggregate(metrics, { prd = null, reviews = [] } = {}) {
+  const entries = new Map(Object.entries(metrics.stories || {}));
+  if (prd) {
+    for (const { story } of allStories(mergeMetrics(prd, metrics))) {
+      if (!entries.has(story.id)) entries.set(story.id, story.metrics || {});
+    }
+  }
+
+  const list = [...entries.values()];
+  const started = list.filter(entry => (entry.iterations || 0) > 0);
+  const completed = list.filter(entry => entry.completed_at);
+  const totalIterations = list.reduce((sum, entry) => sum + (entry.iterations || 0), 0);
+  const totalTime = completed.reduce((sum, entry) => {
+    const ms = entry.time_ms ?? (Date.parse(entry.completed_at) - Date.parse(entry.started_at));
+    return Number.isFinite(ms) ? sum + ms : sum;
+  }, 0);
+
+  const issues = [];
+  for (const { story_id: storyId, review } of reviews) {
+    for (const text of review.blocking_issues || []) issues.push({ story_id: storyId, text });
+  }
+
+  metrics.aggregate = {
+    total_stories: entries.size,
+    completed_stories: completed.length,
+    total_iterations: totalIterations,
+    total_time_ms: totalTime,
+    avg_iterations: started.length > 0 ? round(totalIterations / started.length) : 0,
+    common_failures: clusterIssues(issues)
+  };
+  return metrics.aggregate;
+}
+
+/**
+ * Per-story and per-session report data.
+ * With a prd, stories recorded in METRICS.json but missing from prd.json are
+ * listed last with unknown: true, so the rows add up to the aggregate.
+ */
+function buildReport(metrics, { prd = null, now = new Date() } = {}) {
+  const maxAttempts = (prd && prd.config && prd.config.max_attempts_per_story) || null;
+  const events = metrics.stories || {};
+  const recorded = Object.entries(events)
+    .map(([id, entry]) => ({ id, title: null, passes: !!entry.completed_at, entry, unknown: false }));
+
+  let stories = recorded;
+  if (prd) {
+    const known = allStories(mergeMetrics(prd, metrics)).map(({ story }) => ({
+      id: story.id,
+      title: story.title,
+      passes: story.passes === true,
+      // story.metrics has pre-METRICS.json history; recorded events win
+      entry: { ...(story.metrics || {}), ...(events[story.id] || {}) },
+      unknown: false
+    }));
+    const knownIds = new Set(known.map(story => story.id));
+    const unknown = recorded
+      .filter(story => !knownIds.has(story.id))
+      .map(story => ({ ...story, unknown: true }));
+    stories = [...known, ...unknown];
+  }
+
+  const storyRows = stories.map(({ id, title, passes, entry, unknown }) => {
+    let timeMs = null;
+    let running = false;
+    if (entry.completed_at && entry.started_at) {
+      timeMs = entry.time_ms ?? (Date.parse(entry.completed_at) - Date.parse(entry.started_at));
+    } else if (entry.started_at) {
+      timeMs = now - Date.parse(entry.started_at);
+      running = true;
+    }
+    const failures = Object.entries(entry.checkpoints || {})
+      .filter(([, checkpoint]) => checkpoint.failures > 0)
+      .map(([name, checkpoint]) => ({ checkpoint: name, failures: checkpoint.failures }));
+
+    return {
+      id,
+      title,
+      status: entry.completed_at || passes ? 'complete' : entry.started_at ? 'in_progress' : 'not_started',
+      attempts: entry.iterations || 0,
+      max_attempts: maxAttempts,
+      over_budget: maxAttempts !== null && (entry.iterations || 0) >= maxAttempts,
+      time_ms: timeMs,
+      running,
+      checkpoint_failures: failures,
+      unknown
+    };
+  });
+
+  const sessions = (metrics.sessions || []).map(session => {
+    const events = Object.entries(metrics.stories || {}).flatMap(([id, entry]) =>
+      (entry.events || []).filter(e => e.session === session.id).map(e => ({ ...e, story: id })));
+    const completedIds = [...new Set(events.filter(e => e.type === 'completed').map(e => e.story))];
+    const attempts = events.filter(e => e.type === 'attempt').length;
+    const end = session.ended_at ? Date.parse(session.ended_at) : now.getTime();
+
+    return {
+      id: session.id,
+      started_at: session.started_at,
+      ended_at: session.ended_at,
+      duration_ms: end - Date.parse(session.started_at),
+      stories_completed: completedIds,
+      attempts,
+      checkpoint_failures: events.filter(e => e.type === 'checkpoint_failed').length,
+      attempts_per_completed_story: completedIds.length > 0 ? round(attempts / completedIds.length) : null
+    };
+  });
+
+  return { aggregate: metrics.aggregate, stories: storyRows, sessions };
+}
+
+module.exports = {
+  DEFAULT_METRICS_PATH,
+  EVENT_TYPES,
+  emptyMetrics,
+  loadMetrics,
+  saveMetrics,
+  mergeMetrics,
+  startSession,
+  endSession,
+  recordEvent,
+  recomputeAggregate,
+  buildReport
+};
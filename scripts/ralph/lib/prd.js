@@ -0,0 +1,125 @@
+/**
+ * Shared prd.json helpers
+ *
+ * Loading, saving and walking prd.json files. Used by the migration
+ * runner and the other scripts in scripts/ralph/.
+ *
+ * Functions throw on error - CLI entry points catch and print `ERROR: ...`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PRD_PATH = path.join('scripts', 'ralph', 'prd.json');
+
+// Top-level key order used when writing prd.json (unknown keys go last)
+const FIELD_ORDER = [
+  'version',
+  'project',
+  'created',
+  'branchName',
+  'description',
+  'intent',
+  'tech_stack',
+  'testUser',
+  'decisions',
+  'completedTasks',
+  'currentTask',
+  'tasks',
+  'config'
+];
+
+function loadPrd(prdPath) {
+  if (!fs.existsSync(prdPath)) {
+    throw new Error(`${prdPath} not found`);
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(prdPath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Failed to parse ${prdPath}: ${e.message}`);
+  }
+}
+
+function orderPrd(prd) {
+  const ordered = {};
+  for (const key of FIELD_ORDER) {
+    if (prd[key] !== undefined) ordered[key] = prd[key];
+  }
+  for (const key of Object.keys(prd)) {
+    if (!(key in ordered) && prd[key] !== undefined) ordered[key] = prd[key];
+  }
+  return ordered;
+}
+
+function savePrd(prdPath, prd) {
+  fs.writeFileSync(prdPath, JSON.stringify(orderPrd(prd), null, 2) + '\n');
+}
+
+function backupPrd(prdPath) {
+  const backupPath = prdPath.replace(/\.json$/, `-backup-${Date.now()}.json`);
+  fs.copyFileSync(prdPath, backupPath);
+  return backupPath;
+}
+
+// Workflow order of story checkpoints across versions (v2 → v4)
+const CHECKPOINT_ORDER = [
+  'tests_written',
+  'build_complete',
+  'refinement_1',
+  'refinement_2',
+  'playwright_validated',
+  'browser_validated',
+  'evidence_collected',
+  'glm_approved',
+  'whitebox_validated',
+  'cleanup_complete'
+];
+
+/**
+ * Checkpoint values: false (not reached), true / "PASS", "FAIL:<reason>", "SKIP:<reason>"
+ * SKIP counts as passed - it is a justified skip (see VALIDATION-FRAMEWORK.md).
+ */
+function checkpointPassed(value) {
+  return value === true || value === 'PASS' || (typeof value === 'string' && value.startsWith('SKIP:'));
+}
+
+function checkpointFailed(value) {
+  return typeof value === 'string' && value.startsWith('FAIL:');
+}
+
+/**
+ * The story's checkpoint names in workflow order (unknown names last)
+ */
+function orderedCheckpoints(story) {
+  const names = Object.keys(story.checkpoints || {});
+  const known = CHECKPOINT_ORDER.filter(name => names.includes(name));
+  return known.concat(names.filter(name => !CHECKPOINT_ORDER.includes(name)));
+}
+
+/**
+ * Flatten tasks[].stories[] into [{ task, story, taskIndex, storyIndex }]
+ */
+function allStories(prd) {
+  const result = [];
+  (prd.tasks || []).forEach((task, taskIndex) => {
+    (task.stories || []).forEach((story, storyIndex) => {
+      result.push({ task, story, taskIndex, storyIndex });
+    });
+  });
+  return result;
+}
+
+module.exports = {
+  DEFAULT_PRD_PATH,
+  FIELD_ORDER,
+  loadPrd,
+  orderPrd,
+  savePrd,
+  backupPrd,
+  CHECKPOINT_ORDER,
+  checkpointPassed,
+  checkpointFailed,
+  orderedCheckpoints,
+  allStories
+};
@@ -0,0 +1,27 @@
+/**
+ * Review providers
+ *
+ * A provider is { name, vision?, complete(request) → Promise<{ content, usage }> } where
+ * request is { model, messages, evidence, issues } and usage is
+ * { prompt_tokens, completion_tokens, cost (USD or null) }.
+ * Failed calls throw; errors with `retryable: true` are retried by the reviewer.
+ * vision: false means screenshots are never sent, whatever the model supports.
+ */
+
+const { createOpenRouterProvider } = require('./openrouter');
+const { createLocalProvider } = require('./local');
+
+const PROVIDERS = {
+  openrouter: createOpenRouterProvider,
+  local: createLocalProvider
+};
+
+function createProvider(name, options = {}) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown review provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return factory(options);
+}
+
+module.exports = { PROVIDERS, createProvider };
@@ -0,0 +1,89 @@
+/**
+ * Local review provider - no network, deterministic
+ *
+ * For CI and offline runs. For each (story, model) it replays a recorded
+ * fixture if one exists:
+ *   <fixtures>/<story>/<model-slug>.json   (a review file or a bare review)
+ * Record fixtures with `reviewer.js review <story> --record`.
+ *
+ * Without a fixture it derives a review from the evidence itself: PASS only
+ * when tests ran, all passed, and evidence verification found no errors.
+ * It cannot see screenshots, so confidence is fixed at 50.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCAL_CONFIDENCE = 50;
+
+function modelSlug(model) {
+  return model.replace(/[^A-Za-z0-9._-]+/g, '_');
+}
+
+function fixturePath(fixturesDir, storyId, model) {
+  return path.join(fixturesDir, storyId, `${modelSlug(model)}.json`);
+}
+
+function deterministicReview(evidence, issues) {
+  const summary = evidence.test_summary || { total: 0, passed: 0, failed: 0 };
+  const errors = issues.filter(issue => issue.level === 'error');
+  const blocking = errors.map(issue => `${issue.target}: ${issue.message} [${issue.check}]`);
+  if (summary.total === 0) blocking.push('No Playwright results for this story');
+  else if (summary.failed > 0 && !errors.some(issue => issue.check === 'tests-failing')) {
+    blocking.push(`${summary.failed} test(s) failed`);
+  }
+  const met = blocking.length === 0;
+
+  return {
+    verdict: met ? 'PASS' : 'FAIL',
+    confidence: LOCAL_CONFIDENCE,
+    screenshots_analysis: {
+      examined: 0,
+      findings: [],
+      concerns: ['Local provider does not inspect screenshot content']
+    },
+    tests_analysis: {
+      all_passed: summary.total > 0 && summary.failed === 0,
+      test_count: summary.total,
+      issues: summary.failed > 0 ? [`${summary.failed} of ${summary.total} test(s) failed`] : []
+    },
+    criteria_checklist: (evidence.acceptance_criteria || []).map(criterion => ({
+      criterion,
+      met,
+      evidence_type: 'test',
+      reasoning: met
+        ? `${summary.passed}/${summary.total} story tests passed and evidence verification is clean`
+        : 'Story tests or evidence verification did not pass'
+    })),
+    blocking_issues: blocking,
+    suggestions: [],
+    final_feedback: met
+      ? 'Deterministic check passed; a vision model review is still required for screenshots.'
+      : `Fix before re-review: ${blocking.join('; ')}`
+  };
+}
+
+function createLocalProvider(options = {}) {
+  const fixturesDir = options.fixturesDir || null;
+
+  return {
+    name: 'local',
+    vision: false,
+
+    /**
+     * { model, evidence, issues } → { content, usage, fixture }
+     */
+    async complete({ model, evidence, issues = [] }) {
+      const file = fixturesDir ? fixturePath(fixturesDir, evidence.story_id, model) : null;
+      const usage = { prompt_tokens: 0, completion_tokens: 0, cost: 0 };
+      if (!file || !fs.existsSync(file)) {
+        return { content: JSON.stringify(deterministicReview(evidence, issues)), usage, fixture: null };
+      }
+      // Replayed as text so fixtures go through the same parsing and validation as live responses
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return { content: JSON.stringify(data.review || data), usage, fixture: file };
+    }
+  };
+}
+
+module.exports = { modelSlug, fixturePath, deterministicReview, createLocalProvider };
@@ -0,0 +1,103 @@
+/**
+ * OpenRouter review provider
+ *
+ * API key: OPENROUTER_API_KEY from the environment, else from .env.local
+ * in the project root. Asks for a JSON object response and for OpenRouter's
+ * usage accounting, so the reported cost is the billed cost.
+ *
+ * Errors carry `retryable` - rate limits, 5xx and network failures are
+ * worth retrying, auth and bad requests are not.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const OPENROUTER_URL = 'https://openrouter.ai/api/v1/chat/completions';
+const DEFAULT_TIMEOUT_MS = 120000;
+
+function loadApiKey(root) {
+  if (process.env.OPENROUTER_API_KEY) return process.env.OPENROUTER_API_KEY;
+  const envFile = path.join(root, '.env.local');
+  if (!fs.existsSync(envFile)) return null;
+  const match = /^\s*OPENROUTER_API_KEY\s*=\s*["']?([^"'\s]+)/m.exec(fs.readFileSync(envFile, 'utf8'));
+  return match ? match[1] : null;
+}
+
+function providerError(message, retryable) {
+  const error = new Error(message);
+  error.retryable = retryable;
+  return error;
+}
+
+function createOpenRouterProvider(options = {}) {
+  const root = options.root || process.cwd();
+  const apiKey = options.apiKey || loadApiKey(root);
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  if (!apiKey) {
+    throw new Error('OPENROUTER_API_KEY is not set (environment or .env.local) - use --provider local for offline runs');
+  }
+
+  return {
+    name: 'openrouter',
+
+    /**
+     * { model, messages } → { content, usage: { prompt_tokens, completion_tokens, cost } }
+     */
+    async complete({ model, messages }) {
+      let response;
+      let body;
+      try {
+        response = await fetch(OPENROUTER_URL, {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${apiKey}`,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            model,
+            messages,
+            temperature: 0,
+            response_format: { type: 'json_object' },
+            usage: { include: true }
+          }),
+          signal: AbortSignal.timeout(timeoutMs)
+        });
+        // The timeout also covers reading the body
+        body = await response.text();
+      } catch (e) {
+        throw providerError(`${model}: request failed: ${e.message}`, true);
+      }
+
+      if (!response.ok) {
+        const retryable = response.status === 429 || response.status >= 500;
+        throw providerError(`${model}: HTTP ${response.status}: ${body.slice(0, 200)}`, retryable);
+      }
+
+      let data;
+      try {
+        data = JSON.parse(body);
+      } catch (e) {
+        throw providerError(`${model}: unparseable response: ${e.message}`, true);
+      }
+      if (data.error) {
+        throw providerError(`${model}: ${data.error.message || JSON.stringify(data.error)}`, true);
+      }
+      const choice = data.choices && data.choices[0];
+      if (!choice || !choice.message || !choice.message.content) {
+        throw providerError(`${model}: response has no message content`, true);
+      }
+
+      const usage = data.usage || {};
+      return {
+        content: choice.message.content,
+        usage: {
+          prompt_tokens: usage.prompt_tokens || 0,
+          completion_tokens: usage.completion_tokens || 0,
+          cost: typeof usage.cost === 'number' ? usage.cost : null
+        }
+      };
+    }
+  };
+}
+
+module.exports = { OPENROUTER_URL, loadApiKey, createOpenRouterProvider };
@@ -0,0 +1,74 @@
+/**
+ * Review result parsing and validation
+ *
+ * Model output must match schemas/review.schema.json exactly, and be
+ * internally consistent with the evidence it reviewed:
+ * - criteria_checklist covers every acceptance criterion, once
+ * - PASS has no blocking issues and every criterion met
+ * - FAIL gives at least one blocking issue or unmet criterion
+ *
+ * Anything else is treated as an invalid response (and retried).
+ */
+
+const { validateSchema } = require('./schema');
+const REVIEW_SCHEMA = require('../schemas/review.schema.json');
+
+/**
+ * Raw model text → object. Accepts a bare JSON object or one wrapped in ``` fences.
+ */
+function parseReviewContent(content) {
+  if (content && typeof content === 'object') return content;
+  const text = String(content || '').trim();
+  const fenced = /^```(?:json)?\s*([\s\S]*?)\s*```$/.exec(text);
+  try {
+    return JSON.parse(fenced ? fenced[1] : text);
+  } catch (e) {
+    throw new Error(`Review is not valid JSON: ${e.message}`);
+  }
+}
+
+/**
+ * Criterion text as compared between the PRD and a review checklist
+ */
+function normalize(text) {
+  return String(text).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * [{ path, message }] - empty when the review is valid
+ */
+function validateReview(review, { criteria = [] } = {}) {
+  const errors = validateSchema(review, REVIEW_SCHEMA);
+  if (errors.length > 0) return errors;
+
+  const expected = criteria.map(normalize);
+  const seen = new Map();
+  review.criteria_checklist.forEach((item, i) => {
+    const key = normalize(item.criterion);
+    if (seen.has(key)) {
+      errors.push({ path: `criteria_checklist[${i}].criterion`, message: `duplicate of criteria_checklist[${seen.get(key)}]` });
+    } else if (expected.length > 0 && !expected.includes(key)) {
+      errors.push({ path: `criteria_checklist[${i}].criterion`, message: `"${item.criterion}" is not an acceptance criterion` });
+    }
+    seen.set(key, i);
+  });
+  criteria.forEach((criterion, i) => {
+    if (!seen.has(expected[i])) {
+      errors.push({ path: 'criteria_checklist', message: `missing acceptance criterion "${criterion}"` });
+    }
+  });
+
+  const unmet = review.criteria_checklist.filter(item => !item.met).length;
+  if (review.verdict === 'PASS' && review.blocking_issues.length > 0) {
+    errors.push({ path: 'verdict', message: 'PASS with blocking_issues' });
+  }
+  if (review.verdict === 'PASS' && unmet > 0) {
+    errors.push({ path: 'verdict', message: `PASS with ${unmet} unmet criteria` });
+  }
+  if (review.verdict === 'FAIL' && unmet === 0 && review.blocking_issues.length === 0) {
+    errors.push({ path: 'verdict', message: 'FAIL without blocking_issues or unmet criteria' });
+  }
+  return errors;
+}
+
+module.exports = { REVIEW_SCHEMA, normalize, parseReviewContent, validateReview };
@@ -0,0 +1,367 @@
+/**
+ * External evidence review (glm_approved checkpoint)
+ *
+ * - buildMessages(): evidence package → chat messages, screenshots attached
+ *   as images for vision models
+ * - reviewWithModel(): one model, retried with exponential backoff until it
+ *   returns a review that passes validateReview()
+ * - mergeReviews(): consensus across models
+ *     unanimous - PASS only if every model returned a valid PASS
+ *     majority  - PASS if more than half of the models did
+ * - runReview(): all of the above plus per-call cost accounting and the
+ *   min_confidence gate from prd.json config.reviewer
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalize, parseReviewContent, validateReview } = require('./review');
+
+// Prices in USD per 1M tokens - only used when the provider does not report a cost
+const MODELS = {
+  'google/gemini-3-flash-preview': { vision: true, input: 0.30, output: 2.50 },
+  'google/gemini-2.5-flash': { vision: true, input: 0.30, output: 2.50 },
+  'z-ai/glm-4.7-flash': { vision: false, input: 0.01, output: 0.01 },
+  'anthropic/claude-opus-4.5': { vision: true, input: 15, output: 75 }
+};
+
+const REVIEWER_DEFAULTS = {
+  provider: 'openrouter',
+  model: 'google/gemini-3-flash-preview',
+  consensus_models: ['google/gemini-3-flash-preview', 'google/gemini-2.5-flash', 'z-ai/glm-4.7-flash'],
+  strategy: 'unanimous',
+  min_confidence: 80,
+  max_retries: 2
+};
+
+const STRATEGIES = ['unanimous', 'majority'];
+const IMAGE_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg' };
+
+function reviewerConfig(prd) {
+  return { ...REVIEWER_DEFAULTS, ...((prd && prd.config && prd.config.reviewer) || {}) };
+}
+
+function callCost(model, usage) {
+  if (typeof usage.cost === 'number') return usage.cost;
+  const pricing = MODELS[model];
+  if (!pricing) return null;
+  return (usage.prompt_tokens * pricing.input + usage.completion_tokens * pricing.output) / 1e6;
+}
+
+const SYSTEM_PROMPT = `You are a QA reviewer. A developer claims their feature is complete.
+Review their EVIDENCE and decide if it is truly working. Be skeptical: placeholder
+screenshots, mocked API calls, stub code and tests that do not exercise a criterion
+are reasons to FAIL. Respond with a single JSON object and nothing else.`;
+
+function outputInstructions(criteria) {
+  return `OUTPUT JSON (exactly these fields, no others):
+{
+  "verdict": "PASS" | "FAIL",
+  "confidence": 0-100 (integer),
+  "screenshots_analysis": { "examined": integer, "findings": [string], "concerns": [string] },
+  "tests_analysis": { "all_passed": boolean, "test_count": integer, "issues": [string] },
+  "criteria_checklist": [
+    { "criterion": string, "met": boolean, "evidence_type": "screenshot" | "test" | "code" | "none", "reasoning": string }
+  ],
+  "blocking_issues": [string],
+  "suggestions": [string],
+  "final_feedback": string
+}
+
+Rules:
+- criteria_checklist has exactly one entry per acceptance criterion, using the criterion text verbatim:
+${criteria.map(criterion => `  - ${criterion}`).join('\n')}
+- PASS requires every criterion met and no blocking_issues.
+- FAIL requires at least one blocking issue or unmet criterion.`;
+}
+
+function reviewPrompt(evidence, issues, attached) {
+  const criteria = evidence.acceptance_criteria || [];
+  const screenshots = (evidence.screenshots || [])
+    .map((shot, i) => `${i + 1}. ${shot.name || shot.path}: ${shot.description || '(no description)'}`)
+    .join('\n') || '(none)';
+  const snippets = (evidence.code_snippets || [])
+    .map(snippet => `// ${snippet.file}:${snippet.lines}\n${snippet.content}`)
+    .join('\n\n') || '(none)';
+  const warnings = issues.filter(issue => issue.level === 'warning');
+
+  return [
+    `STORY: ${evidence.story_id} - ${evidence.title || ''}`,
+    '',
+    'ACCEPTANCE CRITERIA:',
+    ...criteria.map((criterion, i) => `${i + 1}. ${criterion}`),
+    '',
+    `1. SCREENSHOTS (${attached ? 'attached as images, in this order' : 'NOT attached - this model cannot see images'}):`,
+    screenshots,
+    '',
+    '2. TEST OUTPUT:',
+    '```',
+    evidence.playwright_output || '(none)',
+    '```',
+    '',
+    '3. CODE SNIPPETS:',
+    snippets,
+    ...(warnings.length > 0
+      ? ['', 'EVIDENCE WARNINGS:', ...warnings.map(issue => `- ${issue.target}: ${issue.message}`)]
+      : []),
+    '',
+    outputInstructions(criteria)
+  ].join('\n');
+}
+
+/**
+ * Evidence package → OpenAI-style chat messages.
+ * Screenshots are embedded as base64 data URLs when the model has vision.
+ */
+function buildMessages(evidence, options = {}) {
+  const root = options.root || process.cwd();
+  const attach = options.vision !== false;
+  const images = attach
+    ? (evidence.screenshots || []).map(shot => {
+      const type = IMAGE_TYPES[path.extname(shot.path).toLowerCase()] || 'image/png';
+      const data = fs.readFileSync(path.resolve(root, shot.path)).toString('base64');
+      return { type: 'image_url', image_url: { url: `data:${type};base64,${data}` } };
+    })
+    : [];
+
+  return [
+    { role: 'system', content: SYSTEM_PROMPT },
+    {
+      role: 'user',
+      content: [{ type: 'text', text: reviewPrompt(evidence, options.issues || [], attach) }, ...images]
+    }
+  ];
+}
+
+const defaultSleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Ask one model until it returns a valid review or retries run out.
+ * Invalid JSON and schema/consistency failures are retried like transport errors.
+ *
+ * → { model, review | null, error | null, screenshots_analyzed, calls: [{ model, attempt, prompt_tokens, completion_tokens, cost_usd, error? }] }
+ */
+async function reviewWithModel(provider, model, evidence, options = {}) {
+  const retries = options.retries !== undefined ? options.retries : REVIEWER_DEFAULTS.max_retries;
+  const backoffMs = options.backoffMs !== undefined ? options.backoffMs : 2000;
+  const sleep = options.sleep || defaultSleep;
+  const issues = options.issues || [];
+  const vision = provider.vision !== false && Boolean(MODELS[model] && MODELS[model].vision);
+  const messages = buildMessages(evidence, { root: options.root, issues, vision });
+  const screenshotsAnalyzed = vision ? (evidence.screenshots || []).length : 0;
+  const calls = [];
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= retries + 1; attempt++) {
+    if (attempt > 1) await sleep(backoffMs * 2 ** (attempt - 2));
+
+    let response;
+    try {
+      response = await provider.complete({ model, messages, evidence, issues });
+    } catch (e) {
+      lastError = e.message;
+      calls.push({ model, attempt, prompt_tokens: 0, completion_tokens: 0, cost_usd: 0, error: e.message });
+      if (!e.retryable) break;
+      continue;
+    }
+
+    const call = {
+      model,
+      attempt,
+      prompt_tokens: response.usage.prompt_tokens,
+      completion_tokens: response.usage.completion_tokens,
+      cost_usd: callCost(model, response.usage)
+    };
+    calls.push(call);
+
+    let review;
+    let errors;
+    try {
+      review = parseReviewContent(response.content);
+      errors = validateReview(review, { criteria: evidence.acceptance_criteria || [] });
+    } catch (e) {
+      errors = [{ path: '(root)', message: e.message }];
+    }
+    if (errors.length === 0) {
+      return { model, review, error: null, screenshots_analyzed: screenshotsAnalyzed, calls };
+    }
+    lastError = `invalid review: ${errors.slice(0, 3).map(e => `${e.path} ${e.message}`).join('; ')}` +
+      (errors.length > 3 ? ` (+${errors.length - 3} more)` : '');
+    call.error = lastError;
+  }
+
+  return { model, review: null, error: lastError, screenshots_analyzed: 0, calls };
+}
+
+function union(lists) {
+  return [...new Set(lists.flat())];
+}
+
+/**
+ * Merge per-model results into one review.
+ * A model that never produced a valid review counts as a non-PASS vote.
+ *
+ * → { review, votes: [{ model, verdict, confidence, error }] }
+ */
+function mergeReviews(results, options = {}) {
+  const strategy = options.strategy || REVIEWER_DEFAULTS.strategy;
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown consensus strategy "${strategy}" (expected one of: ${STRATEGIES.join(', ')})`);
+  }
+  const criteria = options.criteria || [];
+  const valid = results.filter(result => result.review);
+  if (valid.length === 0) throw new Error('No model returned a valid review');
+
+  const passes = valid.filter(result => result.review.verdict === 'PASS');
+  const verdict = strategy === 'unanimous'
+    ? (passes.length === results.length ? 'PASS' : 'FAIL')
+    : (passes.length > results.length / 2 ? 'PASS' : 'FAIL');
+  const agreeing = valid.filter(result => result.review.verdict === verdict);
+  const dissenting = valid.filter(result => result.review.verdict !== verdict);
+  const reviews = valid.map(result => result.review);
+
+  const criteria_checklist = criteria.map(criterion => {
+    const key = normalize(criterion);
+    const entries = valid.map(result => ({
+      model: result.model,
+      item: result.review.criteria_checklist.find(item => normalize(item.criterion) === key)
+    }));
+    // A review without this criterion counts as not met
+    const metCount = entries.filter(entry => entry.item && entry.item.met).length;
+    const first = entries.find(entry => entry.item);
+    return {
+      criterion,
+      met: strategy === 'unanimous' ? metCount === entries.length : metCount > entries.length / 2,
+      evidence_type: first ? first.item.evidence_type : 'none',
+      reasoning: entries
+        .map(entry => `${entry.model}: ${entry.item ? entry.item.reasoning : 'criterion missing from checklist'}`)
+        .join(' | ')
+    };
+  });
+
+  let blocking_issues = union(agreeing.map(review => review.review.blocking_issues));
+  let suggestions = union(reviews.map(review => review.suggestions));
+  if (verdict === 'PASS') {
+    // Outvoted objections are kept, but as suggestions - a PASS cannot carry blocking issues
+    suggestions = union([
+      suggestions,
+      ...dissenting.map(result => result.review.blocking_issues.map(issue => `(${result.model}, outvoted) ${issue}`))
+    ]);
+  } else {
+    blocking_issues = union([
+      blocking_issues,
+      ...dissenting.map(result => result.review.blocking_issues),
+      results.filter(result => !result.review).map(result => `${result.model} returned no valid review: ${result.error}`)
+    ]);
+    if (blocking_issues.length === 0 && criteria_checklist.every(item => item.met)) {
+      blocking_issues = [`Consensus (${strategy}) not reached: ${passes.length}/${results.length} reviewers passed`];
+    }
+  }
+
+  return {
+    review: {
+      verdict,
+      confidence: agreeing.length > 0 ? Math.min(...agreeing.map(result => result.review.confidence)) : 0,
+      screenshots_analysis: {
+        examined: Math.max(...reviews.map(review => review.screenshots_analysis.examined)),
+        findings: union(reviews.map(review => review.screenshots_analysis.findings)),
+        concerns: union(reviews.map(review => review.screenshots_analysis.concerns))
+      },
+      tests_analysis: {
+        all_passed: reviews.every(review => review.tests_analysis.all_passed),
+        test_count: Math.max(...reviews.map(review => review.tests_analysis.test_count)),
+        issues: union(reviews.map(review => review.tests_analysis.issues))
+      },
+      criteria_checklist,
+      blocking_issues,
+      suggestions,
+      final_feedback: valid
+        .map(result => `${result.model} (${result.review.verdict}, ${result.review.confidence}): ${result.review.final_feedback}`)
+        .join('\n')
+    },
+    votes: results.map(result => ({
+      model: result.model,
+      verdict: result.review ? result.review.verdict : null,
+      confidence: result.review ? result.review.confidence : null,
+      error: result.error
+    }))
+  };
+}
+
+/**
+ * A PASS below min_confidence is not an approval.
+ */
+function applyMinConfidence(review, minConfidence) {
+  if (review.verdict !== 'PASS' || review.confidence >= minConfidence) return review;
+  return {
+    ...review,
+    verdict: 'FAIL',
+    blocking_issues: [...review.blocking_issues, `Confidence ${review.confidence} is below the required ${minConfidence}`]
+  };
+}
+
+function sumCost(calls) {
+  if (calls.some(call => call.cost_usd === null)) return null;
+  return Number(calls.reduce((sum, call) => sum + call.cost_usd, 0).toFixed(6));
+}
+
+/**
+ * Review one evidence package with one or more models.
+ *
+ * options: { provider, models, strategy, retries, backoffMs, sleep, root, issues, minConfidence }
+ * → { output, results } where output is the review file:
+ *     { story_id, timestamp, model, provider, screenshots_analyzed, review, consensus?, cost: { total_usd, calls } }
+ *   and results are the per-model reviewWithModel() results
+ */
+async function runReview(evidence, options) {
+  const models = options.models;
+  if (!models || models.length === 0) throw new Error('No reviewer models given');
+
+  const results = [];
+  for (const model of models) {
+    results.push(await reviewWithModel(options.provider, model, evidence, options));
+  }
+  const calls = results.flatMap(result => result.calls);
+
+  let review;
+  let consensus = null;
+  if (models.length === 1) {
+    const [result] = results;
+    if (!result.review) {
+      throw new Error(`${result.model}: no valid review after ${result.calls.length} attempt(s): ${result.error}`);
+    }
+    review = result.review;
+  } else {
+    const strategy = options.strategy || REVIEWER_DEFAULTS.strategy;
+    const merged = mergeReviews(results, { strategy, criteria: evidence.acceptance_criteria || [] });
+    review = merged.review;
+    consensus = { strategy, votes: merged.votes };
+  }
+
+  const minConfidence = options.minConfidence !== undefined ? options.minConfidence : REVIEWER_DEFAULTS.min_confidence;
+  review = applyMinConfidence(review, minConfidence);
+
+  const output = {
+    story_id: evidence.story_id,
+    timestamp: new Date().toISOString(),
+    model: models.join(', '),
+    provider: options.provider.name,
+    screenshots_analyzed: Math.max(...results.map(result => result.screenshots_analyzed)),
+    review,
+    ...(consensus ? { consensus } : {}),
+    cost: { total_usd: sumCost(calls), calls }
+  };
+  return { output, results };
+}
+
+module.exports = {
+  MODELS,
+  REVIEWER_DEFAULTS,
+  STRATEGIES,
+  reviewerConfig,
+  callCost,
+  buildMessages,
+  reviewWithModel,
+  mergeReviews,
+  applyMinConfidence,
+  runReview
+};
@@ -0,0 +1,41 @@
+/**
+ * Review result helpers (scripts/ralph/reviews/<story>.json)
+ *
+ * Review files wrap the model verdict:
+ *   { story_id, timestamp, model, review: { verdict, confidence, blocking_issues, ... } }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_REVIEWS_DIR = path.join('scripts', 'ralph', 'reviews');
+
+/**
+ * All review files in a directory → [{ file, story_id, timestamp, model, review }]
+ * Unparseable files throw - a corrupt review should not be silently skipped.
+ */
+function loadReviews(reviewsDir = DEFAULT_REVIEWS_DIR) {
+  if (!fs.existsSync(reviewsDir)) return [];
+
+  return fs.readdirSync(reviewsDir)
+    .filter(name => name.endsWith('.json'))
+    .sort()
+    .map(name => {
+      const file = path.join(reviewsDir, name);
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (e) {
+        throw new Error(`Failed to parse ${file}: ${e.message}`);
+      }
+      return {
+        file,
+        story_id: data.story_id || path.basename(name, '.json'),
+        timestamp: data.timestamp || null,
+        model: data.model || null,
+        review: data.review || data
+      };
+    });
+}
+
+module.exports = { DEFAULT_REVIEWS_DIR, loadReviews };
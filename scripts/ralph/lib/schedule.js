@@ -0,0 +1,182 @@
+/**
+ * Dependency-aware story scheduler
+ *
+ * Builds the story DAG across all tasks and works out, from the current
+ * `passes` / `checkpoints` / `metrics.iterations` state:
+ * - waves: groups of stories that can run in parallel, in order
+ * - critical path: the longest remaining dependency chain
+ * - blocked stories: depend on an exhausted, unknown or cyclic story
+ * - exhausted stories: attempts >= config.max_attempts_per_story
+ *
+ * Story status: complete | ready | waiting | blocked | exhausted
+ */
+
+const { checkpointPassed, checkpointFailed, orderedCheckpoints } = require('./prd');
+const { buildStoryGraph, findCycles } = require('./graph');
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+function byPriority(a, b) {
+  return (a.priority ?? Infinity) - (b.priority ?? Infinity) || a.id.localeCompare(b.id);
+}
+
+function describeStory(node, maxAttempts) {
+  const { story, task } = node;
+  const checkpoints = story.checkpoints || {};
+  const names = orderedCheckpoints(story);
+  const attempts = (story.metrics && story.metrics.iterations) || 0;
+
+  let status = 'waiting';
+  if (story.passes === true) status = 'complete';
+  else if (attempts >= maxAttempts) status = 'exhausted';
+
+  return {
+    id: story.id,
+    title: story.title,
+    task: task.id,
+    priority: story.priority,
+    depends_on: node.deps,
+    status,
+    in_progress: status !== 'complete' && names.some(name => checkpointPassed(checkpoints[name])),
+    attempts,
+    max_attempts: maxAttempts,
+    next_checkpoint: names.find(name => !checkpointPassed(checkpoints[name])) || null,
+    failed_checkpoints: names.filter(name => checkpointFailed(checkpoints[name])),
+    blocked_by: []
+  };
+}
+
+/**
+ * Mark stories that cannot run because of their dependencies.
+ * Reasons are direct ("US-002 exhausted") so the root cause is visible.
+ */
+function resolveBlocked(stories, cycles) {
+  const inCycle = new Set(cycles.flat());
+  const resolved = new Set();
+
+  function resolve(id) {
+    const entry = stories.get(id);
+    if (resolved.has(id) || entry.status === 'complete') return entry;
+    resolved.add(id);
+
+    // Every cycle through the story, so a self-dependency does not hide a longer one
+    for (const cycle of cycles.filter(c => c.includes(id))) {
+      entry.blocked_by.push(cycle.length === 2 ? `${id} depends on itself` : `dependency cycle: ${cycle.join(' → ')}`);
+    }
+
+    for (const dep of entry.depends_on) {
+      if (!stories.has(dep)) {
+        entry.blocked_by.push(`${dep} is not a story in prd.json`);
+        continue;
+      }
+      if (inCycle.has(dep) && inCycle.has(id)) continue;
+
+      const depEntry = resolve(dep);
+      if (depEntry.status === 'exhausted') {
+        entry.blocked_by.push(`${dep} exhausted (${depEntry.attempts}/${depEntry.max_attempts} attempts)`);
+      } else if (depEntry.status === 'blocked') {
+        entry.blocked_by.push(`${dep} is blocked`);
+      }
+    }
+
+    if (entry.blocked_by.length > 0 && entry.status !== 'exhausted') {
+      entry.status = 'blocked';
+    }
+    return entry;
+  }
+
+  for (const id of stories.keys()) resolve(id);
+}
+
+function computeWaves(stories) {
+  const done = new Set([...stories.values()].filter(s => s.status === 'complete').map(s => s.id));
+  let remaining = [...stories.values()].filter(s => s.status === 'waiting');
+  const waves = [];
+
+  while (remaining.length > 0) {
+    const wave = remaining.filter(s => s.depends_on.every(dep => done.has(dep)));
+    if (wave.length === 0) break; // unreachable once blocked stories are excluded
+    wave.sort(byPriority);
+    wave.forEach(s => done.add(s.id));
+    waves.push(wave.map(s => s.id));
+    remaining = remaining.filter(s => !wave.includes(s));
+  }
+
+  waves.forEach((wave, i) => {
+    for (const id of wave) {
+      const entry = stories.get(id);
+      entry.wave = i + 1;
+      if (i === 0) entry.status = 'ready';
+    }
+  });
+  return waves;
+}
+
+/**
+ * Longest chain of scheduled (not complete/blocked/exhausted) stories
+ */
+function computeCriticalPath(stories) {
+  const scheduled = [...stories.values()].filter(s => s.wave !== undefined);
+  const length = new Map();
+  const previous = new Map();
+
+  // Waves are already in dependency order
+  scheduled.sort((a, b) => a.wave - b.wave || byPriority(a, b));
+  for (const entry of scheduled) {
+    let best = 0;
+    let bestDep = null;
+    for (const dep of entry.depends_on) {
+      if (length.has(dep) && length.get(dep) > best) {
+        best = length.get(dep);
+        bestDep = dep;
+      }
+    }
+    length.set(entry.id, best + 1);
+    previous.set(entry.id, bestDep);
+  }
+
+  let end = null;
+  for (const entry of scheduled) {
+    if (end === null || length.get(entry.id) > length.get(end)) end = entry.id;
+  }
+
+  const path = [];
+  for (let id = end; id; id = previous.get(id)) path.unshift(id);
+  return path;
+}
+
+function schedulePrd(prd) {
+  const maxAttempts = (prd.config && prd.config.max_attempts_per_story) || DEFAULT_MAX_ATTEMPTS;
+  const graph = buildStoryGraph(prd);
+
+  const stories = new Map();
+  for (const [id, node] of graph) stories.set(id, describeStory(node, maxAttempts));
+
+  resolveBlocked(stories, findCycles(graph));
+  const waves = computeWaves(stories);
+  const criticalPath = computeCriticalPath(stories);
+
+  const list = [...stories.values()];
+  const ids = status => list.filter(s => s.status === status).map(s => s.id);
+
+  return {
+    project: prd.project,
+    max_attempts_per_story: maxAttempts,
+    summary: {
+      total: list.length,
+      complete: ids('complete').length,
+      ready: ids('ready').length,
+      waiting: ids('waiting').length,
+      blocked: ids('blocked').length,
+      exhausted: ids('exhausted').length
+    },
+    waves,
+    critical_path: criticalPath,
+    ready: ids('ready'),
+    blocked: list.filter(s => s.status === 'blocked').map(s => ({ id: s.id, reasons: s.blocked_by })),
+    exhausted: list.filter(s => s.status === 'exhausted').map(s => ({ id: s.id, attempts: s.attempts })),
+    stories: list
+  };
+}
+
+module.exports = { DEFAULT_MAX_ATTEMPTS, schedulePrd };
@@ -0,0 +1,121 @@
+/**
+ * Minimal JSON Schema validator
+ *
+ * Supports the subset of draft-07 used by schemas/*.schema.json:
+ *   type, enum, const, pattern, minLength, minimum, maximum, minItems, uniqueItems,
+ *   properties, required, additionalProperties, items, $ref (#/definitions/...)
+ *
+ * Returns a flat list of errors: { path: 'tasks[0].stories[1].id', message }
+ * Paths use the same notation as lib/diff.js.
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function joinPath(base, key) {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+}
+
+function resolveRef(ref, root) {
+  const match = /^#\/definitions\/(.+)$/.exec(ref);
+  if (!match || !root.definitions || !root.definitions[match[1]]) {
+    throw new Error(`Unresolvable $ref: ${ref}`);
+  }
+  return root.definitions[match[1]];
+}
+
+function validateNode(value, schema, root, path, errors) {
+  if (schema.$ref) {
+    validateNode(value, resolveRef(schema.$ref, root), root, path, errors);
+    return;
+  }
+
+  const where = path || '(root)';
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path: where, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+      return;
+    }
+  }
+
+  if ('const' in schema && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+    errors.push({ path: where, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push({ path: where, message: `must be one of ${schema.enum.map(o => JSON.stringify(o)).join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: where, message: `must be at least ${schema.minLength} character(s)` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: where, message: `must match /${schema.pattern}/` });
+    }
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path: where, message: `must be >= ${schema.minimum}` });
+  }
+  if (typeof value === 'number' && schema.maximum !== undefined && value > schema.maximum) {
+    errors.push({ path: where, message: `must be <= ${schema.maximum}` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: where, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.uniqueItems) {
+      const seen = new Set();
+      value.forEach((item, i) => {
+        const key = JSON.stringify(item);
+        if (seen.has(key)) errors.push({ path: joinPath(path, i), message: `duplicate item ${key}` });
+        seen.add(key);
+      });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => validateNode(item, schema.items, root, joinPath(path, i), errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push({ path: joinPath(path, key), message: 'is required' });
+      }
+    }
+
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        validateNode(child, properties[key], root, joinPath(path, key), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: joinPath(path, key), message: 'is not an allowed property' });
+      } else if (typeOf(schema.additionalProperties) === 'object') {
+        validateNode(child, schema.additionalProperties, root, joinPath(path, key), errors);
+      }
+    }
+  }
+}
+
+function validateSchema(value, schema) {
+  const errors = [];
+  validateNode(value, schema, schema, '', errors);
+  return errors;
+}
+
+module.exports = { validateSchema };
@@ -0,0 +1,247 @@
+/**
+ * Static Playwright spec parsing (no TypeScript compiler needed)
+ *
+ * Finds test.describe() blocks and test() calls in a spec file, with:
+ *   - title and describe path
+ *   - tags: @tag tokens in titles and `tag` in the details object
+ *   - annotations: `annotation` in the details object and
+ *     test.info().annotations.push({ type, description }) in the body
+ *   - mode: skip / fixme / only / fail when called as test.skip('title', ...) (learnings-disable-line BP-006)
+ *   - line and body source (for static analysis of the test itself)
+ *
+ * Comments, strings and regex literals are masked before matching, so
+ * commented-out tests and brackets inside strings are ignored.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SPEC_PATTERN = /\.(spec|test)\.[cm]?[jt]sx?$/;
+const CALL_PATTERN = /(?<![\w$.])test((?:\.(?:describe|serial|parallel|skip|fixme|only|fail|slow))*)\s*\(/g;
+const MODES = ['skip', 'fixme', 'only', 'fail'];
+const REGEX_PRECEDERS = '(,=:[!&|?{};+-*%<>~^';
+
+/**
+ * Same length as source, with comment bodies, string contents and regex
+ * literals replaced by spaces (newlines kept, so offsets and lines line up).
+ */
+function maskSource(source) {
+  const out = source.split('');
+  const blank = (from, to) => {
+    for (let k = from; k < to; k++) if (out[k] !== '\n') out[k] = ' ';
+  };
+  let lastCode = '';
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+    const next = source[i + 1];
+
+    if (ch === '/' && next === '/') {
+      const end = source.indexOf('\n', i);
+      const stop = end === -1 ? source.length : end;
+      blank(i, stop);
+      i = stop;
+    } else if (ch === '/' && next === '*') {
+      const end = source.indexOf('*/', i + 2);
+      const stop = end === -1 ? source.length : end + 2;
+      blank(i, stop);
+      i = stop;
+    } else if (ch === '\'' || ch === '"' || ch === '`') {
+      let j = i + 1;
+      while (j < source.length && source[j] !== ch) {
+        if (source[j] === '\\') j++;
+        else if (ch !== '`' && source[j] === '\n') break;
+        j++;
+      }
+      blank(i + 1, j);
+      i = j + 1;
+      lastCode = ch;
+    } else if (ch === '/' && (lastCode === '' || REGEX_PRECEDERS.includes(lastCode))) {
+      let j = i + 1;
+      let inClass = false;
+      while (j < source.length && source[j] !== '\n') {
+        if (source[j] === '\\') j++;
+        else if (source[j] === '[') inClass = true;
+        else if (source[j] === ']') inClass = false;
+        else if (source[j] === '/' && !inClass) break;
+        j++;
+      }
+      blank(i, j + 1);
+      i = j + 1;
+      lastCode = ')';
+    } else {
+      if (!/\s/.test(ch)) lastCode = ch;
+      i++;
+    }
+  }
+  return out.join('');
+}
+
+function matchBracket(masked, open) {
+  const pairs = { '(': ')', '[': ']', '{': '}' };
+  const stack = [];
+  for (let i = open; i < masked.length; i++) {
+    const ch = masked[i];
+    if (pairs[ch]) stack.push(pairs[ch]);
+    else if (ch === ')' || ch === ']' || ch === '}') {
+      if (stack.pop() !== ch) return -1;
+      if (stack.length === 0) return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * String literal starting at source[i] → { value, end } or null.
+ * Template literals with ${} placeholders keep the placeholder text.
+ */
+function readString(source, i) {
+  const quote = source[i];
+  if (quote !== '\'' && quote !== '"' && quote !== '`') return null;
+  let value = '';
+  let j = i + 1;
+  while (j < source.length && source[j] !== quote) {
+    if (source[j] === '\\' && j + 1 < source.length) {
+      value += source[j + 1];
+      j += 2;
+    } else {
+      value += source[j++];
+    }
+  }
+  return { value, end: j + 1 };
+}
+
+function stringValues(text) {
+  const values = [];
+  const pattern = /'((?:[^'\\\n]|\\.)*)'|"((?:[^"\\\n]|\\.)*)"|`((?:[^`\\]|\\.)*)`/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) values.push(match[1] ?? match[2] ?? match[3]);
+  return values;
+}
+
+function parseTags(details) {
+  const match = /\btag\s*:\s*(\[[^\]]*\]|'[^']*'|"[^"]*")/.exec(details);
+  return match ? stringValues(match[1]) : [];
+}
+
+function parseAnnotations(text) {
+  const annotations = [];
+  const pattern = /\btype\s*:\s*(['"`])([^'"`]+)\1\s*(?:,\s*description\s*:\s*(['"`])((?:(?!\3).)*)\3)?/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    annotations.push({ type: match[2], description: match[4] ?? null });
+  }
+  return annotations;
+}
+
+function lineAt(source, index) {
+  let line = 1;
+  for (let i = 0; i < index; i++) if (source[i] === '\n') line++;
+  return line;
+}
+
+/**
+ * Parse one spec file.
+ * → { file, describes: [{ title, title_path, line, mode, tags, annotations }],
+ *     tests: [{ title, describe_path, title_path, line, mode, tags, annotations, body, start, end }] }
+ */
+function parseSpec(source, file) {
+  const masked = maskSource(source);
+  const calls = [];
+  let match;
+
+  CALL_PATTERN.lastIndex = 0;
+  while ((match = CALL_PATTERN.exec(masked)) !== null) {
+    const open = match.index + match[0].length - 1;
+    let start = open + 1;
+    while (/\s/.test(source[start] || '')) start++;
+    const title = readString(source, start);
+    // learnings-disable-next-line BP-006
+    // test.skip(condition) and friends have no title - not a test declaration
+    if (!title) continue;
+    const close = matchBracket(masked, open);
+    if (close === -1) continue;
+
+    const chain = match[1].split('.').filter(Boolean);
+    calls.push({
+      kind: chain.includes('describe') ? 'describe' : 'test',
+      mode: chain.find(part => MODES.includes(part)) || null,
+      title: title.value,
+      titleEnd: title.end,
+      open,
+      close,
+      line: lineAt(source, match.index)
+    });
+  }
+
+  const describes = [];
+  const tests = [];
+  const stack = [];
+
+  for (const call of calls) {
+    while (stack.length > 0 && stack[stack.length - 1].close < call.open) stack.pop();
+    const parents = stack.map(entry => entry.title);
+    const inherited = stack.map(entry => entry.mode).filter(Boolean);
+
+    // The details object sits between the title and the callback
+    const callbackAt = masked.slice(call.titleEnd, call.close).search(/=>|\bfunction\b|\basync\b/);
+    const details = source.slice(call.titleEnd, callbackAt === -1 ? call.close : call.titleEnd + callbackAt);
+    const titleTags = call.title.match(/@[\w:-]+/g) || [];
+    const entry = {
+      title: call.title,
+      title_path: [...parents, call.title],
+      line: call.line,
+      mode: call.mode || inherited[inherited.length - 1] || null,
+      tags: [...new Set([...titleTags, ...parseTags(details)])],
+      annotations: parseAnnotations(/\bannotation\s*:/.test(details) ? details : '')
+    };
+
+    if (call.kind === 'describe') {
+      describes.push(entry);
+      stack.push({ title: call.title, close: call.close, mode: entry.mode, tags: entry.tags, annotations: entry.annotations });
+      continue;
+    }
+
+    const body = source.slice(call.titleEnd, call.close);
+    const runtime = /annotations\s*\.\s*push\s*\(/.test(masked.slice(call.titleEnd, call.close))
+      ? parseAnnotations(body.slice(body.search(/annotations\s*\.\s*push\s*\(/)))
+      : [];
+    tests.push({
+      ...entry,
+      describe_path: parents,
+      tags: [...new Set([...stack.flatMap(s => s.tags), ...entry.tags])],
+      annotations: [...stack.flatMap(s => s.annotations), ...entry.annotations, ...runtime],
+      body,
+      start: call.open,
+      end: call.close
+    });
+  }
+
+  return { file, describes, tests };
+}
+
+function parseSpecFile(file, root = process.cwd()) {
+  const source = fs.readFileSync(path.resolve(root, file), 'utf8');
+  return parseSpec(source, file);
+}
+
+/**
+ * Spec files under a directory (recursive), as root-relative paths with / separators
+ */
+function findSpecFiles(dir, root = process.cwd()) {
+  const files = [];
+  const walk = current => {
+    const absolute = path.resolve(root, current);
+    if (!fs.existsSync(absolute)) return;
+    for (const entry of fs.readdirSync(absolute, { withFileTypes: true })) {
+      const relative = path.join(current, entry.name);
+      if (entry.isDirectory() && entry.name !== 'node_modules') walk(relative);
+      else if (entry.isFile() && SPEC_PATTERN.test(entry.name)) files.push(relative.split(path.sep).join('/'));
+    }
+  };
+  walk(dir);
+  return files.sort();
+}
+
+module.exports = { SPEC_PATTERN, maskSource, matchBracket, readString, parseSpec, parseSpecFile, findSpecFiles };
@@ -0,0 +1,259 @@
+/**
+ * STATE.md renderer
+ *
+ * STATE.md is generated from prd.json (checkpoints, passes, depends_on)
+ * and METRICS.json (attempts, timestamps). Only the Session History
+ * rows are carried over from the previous STATE.md - everything else
+ * is derived, so the file cannot drift from the data.
+ */
+
+const { checkpointPassed, checkpointFailed, orderedCheckpoints, allStories } = require('./prd');
+const { mergeMetrics } = require('./metrics');
+const { schedulePrd } = require('./schedule');
+
+const COLUMN_LABELS = {
+  tests_written: 'Tests',
+  build_complete: 'Build',
+  refinement_1: 'Refine 1',
+  refinement_2: 'Refine 2',
+  playwright_validated: 'Playwright',
+  browser_validated: 'Browser',
+  evidence_collected: 'Evidence',
+  glm_approved: 'Review',
+  whitebox_validated: 'Whitebox',
+  cleanup_complete: 'Cleanup'
+};
+
+// ralph-guard.js phase each checkpoint belongs to
+const CHECKPOINT_PHASES = {
+  tests_written: 'test-write',
+  build_complete: 'build',
+  refinement_1: 'build',
+  refinement_2: 'build',
+  playwright_validated: 'validate',
+  browser_validated: 'validate',
+  evidence_collected: 'validate',
+  glm_approved: 'validate',
+  whitebox_validated: 'validate',
+  cleanup_complete: 'cleanup'
+};
+
+const GENERATED_NOTICE = '<!-- Generated by scripts/ralph/render-state.js from prd.json + METRICS.json - edit those, not this file -->';
+
+/**
+ * Rows of the first markdown table under `## <heading>` (header and separator skipped)
+ */
+function parseTable(markdown, heading) {
+  if (!markdown) return [];
+  const lines = markdown.split('\n');
+  const start = lines.findIndex(line => line.trim() === `## ${heading}`);
+  if (start === -1) return [];
+
+  const rows = [];
+  let seenTable = false;
+  for (const line of lines.slice(start + 1)) {
+    if (line.startsWith('## ')) break;
+    if (!line.trim().startsWith('|')) {
+      if (seenTable) break;
+      continue;
+    }
+    seenTable = true;
+    rows.push(line.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim()));
+  }
+  return rows.slice(2);
+}
+
+function storyTimestamps(story) {
+  const m = story.metrics || {};
+  return [m.started_at, m.completed_at, m.last_attempt_at].filter(Boolean);
+}
+
+function latest(timestamps) {
+  return timestamps.reduce((max, ts) => (max === null || ts > max ? ts : max), null);
+}
+
+function joinIds(ids) {
+  if (ids.length <= 1) return ids.join('');
+  return `${ids.slice(0, -1).join(', ')} and ${ids[ids.length - 1]}`;
+}
+
+function renderCell(story, entry, name, complete) {
+  const checkpoints = story.checkpoints || {};
+  if (!(name in checkpoints)) return '-';
+
+  const value = checkpoints[name];
+  if (typeof value === 'string' && value.startsWith('SKIP:')) return '⏭️';
+  if (checkpointPassed(value)) return '✅';
+  if (checkpointFailed(value)) return entry.attempts > 0 ? `❌ (attempt ${entry.attempts})` : '❌';
+  if (name !== entry.next_checkpoint) return '-';
+
+  switch (entry.status) {
+    case 'ready':
+      return entry.in_progress ? '🔄' : '⏳';
+    case 'waiting': {
+      const pending = entry.depends_on.filter(dep => !complete.has(dep));
+      return `⏳ (waiting for ${pending.join(', ')})`;
+    }
+    case 'blocked':
+      return '⏳ (blocked)';
+    case 'exhausted':
+      return '❌ (out of attempts)';
+    default:
+      return '-';
+  }
+}
+
+function formatDuration(ms) {
+  if (!(ms >= 0)) return '-';
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+/**
+ * New Session History row: stories validated since the previous STATE.md,
+ * and stories currently failing or out of attempts.
+ */
+function buildSessionRow(plan, previousMarkdown, history, options) {
+  const previous = parseTable(previousMarkdown, 'Current Progress');
+  const header = previousMarkdown
+    ? (previousMarkdown.split('\n').find(line => line.startsWith('| Story |')) || '')
+    : '';
+  const validatedIndex = header.replace(/^\||\|$/g, '').split('|').map(c => c.trim()).indexOf('Validated');
+  const wasValidated = new Set(
+    previous.filter(row => validatedIndex !== -1 && row[validatedIndex] === '✅').map(row => row[0])
+  );
+
+  const completed = plan.stories.filter(s => s.status === 'complete' && !wasValidated.has(s.id)).map(s => s.id);
+  const failed = plan.stories
+    .filter(s => s.status === 'exhausted' || (s.status !== 'complete' && s.failed_checkpoints.length > 0))
+    .map(s => s.id);
+
+  const now = options.now || new Date();
+  const duration = options.since ? formatDuration(now - new Date(options.since)) : '-';
+  return [String(history.length + 1), completed.join(', ') || '-', failed.join(', ') || '-', duration];
+}
+
+/**
+ * Render STATE.md.
+ *
+ * options.previous       - current STATE.md content (Session History is kept)
+ * options.appendSession  - add a Session History row for this session
+ * options.since          - ISO start time of the session (for Duration)
+ */
+function renderState(prd, metrics, options = {}) {
+  const merged = mergeMetrics(prd, metrics);
+  const plan = schedulePrd(merged);
+  const entries = new Map(plan.stories.map(entry => [entry.id, entry]));
+  const stories = allStories(merged).map(({ story }) => story).filter(story => entries.has(story.id));
+  const complete = new Set(plan.stories.filter(s => s.status === 'complete').map(s => s.id));
+
+  // Columns: every checkpoint used by any story, in workflow order
+  const columnSet = new Set();
+  for (const story of stories) orderedCheckpoints(story).forEach(name => columnSet.add(name));
+  const columns = [...columnSet];
+
+  // METRICS.json updated_at only counts once something has been recorded
+  const recorded = Object.keys(metrics.stories || {}).length > 0;
+  const lastUpdated = latest([recorded ? metrics.updated_at : null, ...stories.flatMap(storyTimestamps)].filter(Boolean));
+
+  // Resume point: most recently active story, else the first one in progress
+  let lastStory = null;
+  let lastActivity = null;
+  for (const story of stories) {
+    const ts = latest(storyTimestamps(story));
+    if (ts && (lastActivity === null || ts > lastActivity)) {
+      lastActivity = ts;
+      lastStory = story;
+    }
+  }
+  if (!lastStory) lastStory = stories.find(story => entries.get(story.id).in_progress) || null;
+
+  let lastPhase = 'None';
+  if (lastStory) {
+    // The phase to resume in: the one owning the next unpassed checkpoint
+    const entry = entries.get(lastStory.id);
+    const started = entry.in_progress || entry.failed_checkpoints.length > 0;
+    if (lastStory.passes === true) lastPhase = 'commit';
+    else if (started && entry.next_checkpoint) lastPhase = CHECKPOINT_PHASES[entry.next_checkpoint] || entry.next_checkpoint;
+  }
+
+  let nextStory = 'None';
+  if (plan.ready.length > 1) nextStory = `${plan.ready.join(', ')} (parallel)`;
+  else if (plan.ready.length === 1) nextStory = plan.ready[0];
+  else if (plan.summary.complete === plan.summary.total && plan.summary.total > 0) nextStory = 'None (all complete)';
+
+  const blockers = [
+    ...plan.blocked.map(({ id, reasons }) => `${id}: ${reasons.join('; ')}`),
+    ...plan.exhausted.map(({ id, attempts }) => `${id}: out of attempts (${attempts}/${plan.max_attempts_per_story})`)
+  ];
+
+  const history = parseTable(options.previous, 'Session History').filter(row => row[0] !== '(none yet)');
+  if (options.appendSession) {
+    history.push(buildSessionRow(plan, options.previous, history, options));
+  }
+
+  const lines = [];
+  lines.push('# Ralph Workflow State', '', GENERATED_NOTICE, '');
+  lines.push(`Last updated: ${lastUpdated || 'Not started'}`, '');
+
+  lines.push('## Current Progress', '');
+  const header = ['Story', ...columns.map(name => COLUMN_LABELS[name] || name), 'Validated', 'Attempts'];
+  lines.push(`| ${header.join(' | ')} |`);
+  lines.push(`|${header.map(h => '-'.repeat(h.length + 2)).join('|')}|`);
+  for (const story of stories) {
+    const entry = entries.get(story.id);
+    const cells = columns.map(name => renderCell(story, entry, name, complete));
+    lines.push(`| ${[story.id, ...cells, story.passes === true ? '✅' : '❌', entry.attempts].join(' | ')} |`);
+  }
+  lines.push('');
+
+  lines.push('## Legend');
+  lines.push('- ⏳ Pending');
+  lines.push('- 🔄 In Progress');
+  lines.push('- ✅ Passed');
+  lines.push('- ❌ Failed');
+  lines.push('- ⏭️ Skipped', '');
+
+  lines.push('## Resume Point', '');
+  lines.push('| Field | Value |');
+  lines.push('|-------|-------|');
+  lines.push(`| **Last Story** | ${lastStory ? lastStory.id : 'None'} |`);
+  lines.push(`| **Last Phase** | ${lastPhase} |`);
+  lines.push(`| **Next Story** | ${nextStory} |`);
+  lines.push(`| **Blocker** | ${blockers.length > 0 ? blockers.map(b => b.split(':')[0]).join(', ') : 'None'} |`);
+  lines.push('');
+
+  lines.push('## Session History', '');
+  lines.push('| Session | Stories Completed | Stories Failed | Duration |');
+  lines.push('|---------|-------------------|----------------|----------|');
+  if (history.length === 0) lines.push('| (none yet) | | | |');
+  for (const row of history) lines.push(`| ${row.join(' | ')} |`);
+  lines.push('');
+
+  lines.push('## Current Blockers', '');
+  if (blockers.length === 0) lines.push('None');
+  for (const blocker of blockers) lines.push(`- ${blocker}`);
+  lines.push('');
+
+  lines.push('## Notes', '');
+  const notes = [];
+  for (const entry of plan.stories) {
+    if (entry.status !== 'waiting' && entry.status !== 'blocked') continue;
+    const pending = entry.depends_on.filter(dep => !complete.has(dep));
+    if (pending.length === 0) continue;
+    const deps = joinIds(pending);
+    notes.push(`- ${entry.id} depends on ${deps}, cannot start until ${deps} ${pending.length > 1 ? 'are' : 'is'} validated`);
+  }
+  if (plan.ready.length > 1) {
+    notes.push(`- ${joinIds(plan.ready)} are independent, can run in parallel`);
+  }
+  if (plan.critical_path.length > 1) {
+    notes.push(`- Critical path: ${plan.critical_path.join(' → ')}`);
+  }
+  lines.push(...(notes.length > 0 ? notes : ['None']));
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { parseTable, renderState };
@@ -0,0 +1,250 @@
+/**
+ * Static quality metrics for Playwright spec files
+ *
+ * Used to compare specs written by different models for the same story
+ * (test-comparison/). Everything is read from source - nothing is run.
+ *
+ *   assertions   expect(...) calls per test, tests with none
+ *   mocks        page.route()/context.route()/routeFromHAR() that fake responses.
+ *                Routes that only abort() are failure injection, not mocks.
+ *   real calls   waitForResponse/waitForRequest and request.get/post/... checks
+ *   waits        waitForTimeout() and setTimeout() - hardcoded delays
+ *   selectors    role/text/label queries > test IDs > CSS/XPath
+ *   coverage     acceptance criteria covered (same matching as traceability.js)
+ *
+ * Score (0-100), weights in SCORE_WEIGHTS:
+ *   coverage    share of browser-checkable criteria with a test
+ *   assertions  min(assertions per test / 3, 1), scaled down by tests without any
+ *   real_api    1 with no mocks and at least one real network check, 0.5 with
+ *               neither, 0 with any mock
+ *   waits       1 - hardcoded waits per test (floor 0)
+ *   selectors   robustness: role/text = 1, test ID = 0.75, CSS/XPath = 0
+ * Without acceptance criteria the coverage weight is spread over the others.
+ */
+
+const { maskSource, matchBracket, readString, parseSpec } = require('./specs');
+const { isBrowserCheckable, criterionRefs, inferredCriteria } = require('./traceability');
+
+const SCORE_WEIGHTS = { coverage: 30, assertions: 15, real_api: 20, waits: 15, selectors: 20 };
+const TARGET_ASSERTIONS_PER_TEST = 3;
+const SELECTOR_WEIGHTS = { role_text: 1, test_id: 0.75, css: 0 };
+
+const SEMANTIC_QUERIES = ['getByRole', 'getByText', 'getByLabel', 'getByPlaceholder', 'getByAltText', 'getByTitle'];
+const ERROR_TEST = /\b(error|invalid|fail(s|ed|ure)?|empty|reject(s|ed)?|denied|unauthori[sz]ed)\b/i;
+
+function count(text, pattern) {
+  return (text.match(pattern) || []).length;
+}
+
+/**
+ * Split a selector list on top-level commas only - not inside quotes,
+ * brackets or parentheses: button:has-text("Save, then continue").
+ * A non-CSS engine (text=Hello, world) takes the rest of the selector.
+ */
+function splitSelectorList(selector) {
+  const masked = maskSource(selector);
+  const parts = [];
+  let from = 0;
+  let i = 0;
+  while (i < masked.length) {
+    const ch = masked[i];
+    if (i === from || /^\s*$/.test(selector.slice(from, i))) {
+      const engine = /^\s*([\w:-]+)=/.exec(selector.slice(from));
+      if (engine && engine[1] !== 'css') break;
+    }
+    if (ch === '(' || ch === '[' || ch === '{') {
+      const close = matchBracket(masked, i);
+      if (close === -1) break;
+      i = close + 1;
+    } else if (ch === '\'' || ch === '"' || ch === '`') {
+      const literal = readString(selector, i);
+      i = literal.end;
+    } else {
+      if (ch === ',') {
+        parts.push(selector.slice(from, i));
+        from = i + 1;
+      }
+      i++;
+    }
+  }
+  parts.push(selector.slice(from));
+  return parts;
+}
+
+/**
+ * Locator string → 'role_text' | 'test_id' | 'css'
+ * A selector list is only as robust as its weakest part: a CSS fallback
+ * next to a test ID still breaks when the markup changes.
+ */
+function classifySelector(selector) {
+  const parts = splitSelectorList(selector).map(part => part.trim()).filter(Boolean);
+  const kinds = parts.map(part => {
+    if (/^(role|text|label|placeholder|alt|title)=/.test(part) || /^internal:(role|text|label)=/.test(part)) return 'role_text';
+    if (/^\[data-(testid|test-id|test|cy)=["']?[^\]]+\]$/.test(part) || /^(data-testid|testid)=/.test(part)) return 'test_id';
+    return 'css';
+  });
+  if (kinds.includes('css')) return 'css';
+  return kinds.includes('test_id') ? 'test_id' : 'role_text';
+}
+
+function analyzeSelectors(source, masked) {
+  const selectors = { role_text: 0, test_id: 0, css: 0 };
+  for (const match of masked.matchAll(/\.(getBy[A-Za-z]+)\s*\(/g)) {
+    if (SEMANTIC_QUERIES.includes(match[1])) selectors.role_text++;
+    else if (match[1] === 'getByTestId') selectors.test_id++;
+  }
+  for (const match of masked.matchAll(/(?:\.locator|\$\$?)\s*\(/g)) {
+    let start = match.index + match[0].length;
+    while (/\s/.test(source[start] || '')) start++;
+    const literal = readString(source, start);
+    // Locators built at runtime are counted as CSS - they cannot be checked statically
+    selectors[literal ? classifySelector(literal.value) : 'css']++;
+  }
+  return selectors;
+}
+
+function analyzeRoutes(source, masked) {
+  let mocks = 0;
+  let failureInjection = 0;
+  for (const match of masked.matchAll(/\.(route|routeFromHAR)\s*\(/g)) {
+    const open = match.index + match[0].length - 1;
+    const close = matchBracket(masked, open);
+    const handler = masked.slice(open, close === -1 ? masked.length : close);
+    if (match[1] === 'route' && /\.abort\s*\(/.test(handler) && !/\.(fulfill|continue|fallback)\s*\(/.test(handler)) {
+      failureInjection++;
+    } else {
+      mocks++;
+    }
+  }
+  return { mocks, failureInjection };
+}
+
+function criteriaCoverage(tests, criteria) {
+  const covered = new Set();
+  for (const test of tests) {
+    const explicit = criterionRefs(test, criteria).filter(n => n >= 1 && n <= criteria.length);
+    for (const n of explicit.length > 0 ? explicit : inferredCriteria(test, criteria)) covered.add(n);
+  }
+  const checkable = criteria.map((criterion, i) => i + 1).filter(n => isBrowserCheckable(criteria[n - 1]));
+  const hit = checkable.filter(n => covered.has(n));
+  return {
+    covered: hit.map(n => `AC-${n}`),
+    missing: checkable.filter(n => !covered.has(n)).map(n => `AC-${n}`),
+    ratio: checkable.length > 0 ? hit.length / checkable.length : null
+  };
+}
+
+/**
+ * Metrics for one spec file.
+ * criteria: acceptance criteria (strings) or [] when unknown.
+ */
+function analyzeSpec(source, file, criteria = []) {
+  const masked = maskSource(source);
+  const { tests } = parseSpec(source, file);
+
+  const perTest = tests.map(test => count(masked.slice(test.start, test.end), /\bexpect(\.soft|\.poll)?\s*\(/g));
+  const assertions = perTest.reduce((sum, n) => sum + n, 0);
+  const routes = analyzeRoutes(source, masked);
+
+  return {
+    file,
+    lines: source.split('\n').filter(line => line.trim() !== '').length,
+    tests: tests.length,
+    skipped_tests: tests.filter(test => test.mode === 'skip' || test.mode === 'fixme').length,
+    error_tests: tests.filter(test => ERROR_TEST.test(test.title)).length,
+    assertions,
+    assertions_per_test: tests.length > 0 ? Number((assertions / tests.length).toFixed(2)) : 0,
+    tests_without_assertions: perTest.filter(n => n === 0).length,
+    mocks: routes.mocks,
+    failure_injection: routes.failureInjection,
+    real_api_checks: count(masked, /\.(waitForResponse|waitForRequest)\s*\(/g) +
+      count(masked, /\brequest\s*\.\s*(get|post|put|patch|delete|fetch|head)\s*\(/g),
+    hardcoded_waits: count(masked, /\.waitForTimeout\s*\(/g) + count(masked, /\bsetTimeout\s*\(/g),
+    reloads: count(masked, /\.reload\s*\(/g),
+    selectors: analyzeSelectors(source, masked),
+    coverage: criteriaCoverage(tests, criteria)
+  };
+}
+
+/**
+ * metrics → { total, parts: { coverage, assertions, real_api, waits, selectors } }
+ * Each part is already multiplied by its weight.
+ */
+function scoreSpec(metrics) {
+  const { tests, selectors } = metrics;
+  const selectorTotal = selectors.role_text + selectors.test_id + selectors.css;
+  const ratios = {
+    coverage: metrics.coverage.ratio,
+    assertions: tests === 0 ? 0
+      : Math.min(metrics.assertions_per_test / TARGET_ASSERTIONS_PER_TEST, 1) * (1 - metrics.tests_without_assertions / tests),
+    real_api: metrics.mocks > 0 ? 0 : (metrics.real_api_checks > 0 ? 1 : 0.5),
+    waits: tests === 0 ? 0 : Math.max(0, 1 - metrics.hardcoded_waits / tests),
+    selectors: selectorTotal === 0 ? 0
+      : Object.entries(SELECTOR_WEIGHTS).reduce((sum, [kind, weight]) => sum + selectors[kind] * weight, 0) / selectorTotal
+  };
+
+  const active = Object.keys(SCORE_WEIGHTS).filter(key => ratios[key] !== null);
+  const scale = 100 / active.reduce((sum, key) => sum + SCORE_WEIGHTS[key], 0);
+  const parts = {};
+  for (const key of Object.keys(SCORE_WEIGHTS)) {
+    parts[key] = ratios[key] === null ? null : Number((ratios[key] * SCORE_WEIGHTS[key] * scale).toFixed(1));
+  }
+  const total = Number(active.reduce((sum, key) => sum + parts[key], 0).toFixed(1));
+  return { total, parts };
+}
+
+/**
+ * Competing specs for one story → entries sorted by score (best first)
+ * specs: [{ label, file, source }]
+ */
+function compareSpecs(specs, criteria = []) {
+  return specs
+    .map(({ label, file, source }) => {
+      const metrics = analyzeSpec(source, file, criteria);
+      return { label, ...metrics, score: scoreSpec(metrics) };
+    })
+    .sort((a, b) => b.score.total - a.score.total || a.label.localeCompare(b.label));
+}
+
+function percent(ratio) {
+  return ratio === null ? 'n/a' : `${Math.round(ratio * 100)}%`;
+}
+
+/**
+ * comparisons: [{ story_id, title, criteria, criteria_source, ranking }] → Markdown
+ */
+function renderMarkdown(comparisons, options = {}) {
+  const lines = ['# Test Generation Comparison', ''];
+  if (options.generatedAt) lines.push(`Generated ${options.generatedAt}`, '');
+  lines.push(
+    `Score out of 100: coverage ${SCORE_WEIGHTS.coverage}, assertions ${SCORE_WEIGHTS.assertions}, ` +
+    `no mocks ${SCORE_WEIGHTS.real_api}, no hardcoded waits ${SCORE_WEIGHTS.waits}, selectors ${SCORE_WEIGHTS.selectors}.`,
+    ''
+  );
+
+  for (const comparison of comparisons) {
+    lines.push(`## ${comparison.story_id}${comparison.title ? `: ${comparison.title}` : ''}`, '');
+    lines.push(`Criteria: ${comparison.criteria.length > 0 ? `${comparison.criteria.length} from ${comparison.criteria_source}` : 'none - coverage not scored'}`, '');
+    lines.push('| Rank | Model | Score | Tests | Assertions/test | Mocks | Real API checks | Waits | Selectors (role/text · test ID · CSS) | Coverage | Lines |');
+    lines.push('|------|-------|-------|-------|-----------------|-------|-----------------|-------|---------------------------------------|----------|-------|');
+    comparison.ranking.forEach((entry, i) => {
+      const { selectors } = entry;
+      lines.push(`| ${i + 1} | ${entry.label} | ${entry.score.total} | ${entry.tests} | ${entry.assertions_per_test} | ` +
+        `${entry.mocks} | ${entry.real_api_checks} | ${entry.hardcoded_waits} | ` +
+        `${selectors.role_text} · ${selectors.test_id} · ${selectors.css} | ${percent(entry.coverage.ratio)} | ${entry.lines} |`);
+    });
+    lines.push('');
+    lines.push('| Model | Coverage | Assertions | No mocks | No waits | Selectors | Missing criteria |');
+    lines.push('|-------|----------|------------|----------|----------|-----------|------------------|');
+    for (const entry of comparison.ranking) {
+      const parts = entry.score.parts;
+      const part = key => (parts[key] === null ? 'n/a' : parts[key]);
+      lines.push(`| ${entry.label} | ${part('coverage')} | ${part('assertions')} | ${part('real_api')} | ` +
+        `${part('waits')} | ${part('selectors')} | ${entry.coverage.missing.join(', ') || '-'} |`);
+    }
+    lines.push('');
+  }
+  return lines.join('\n').trimEnd();
+}
+
+module.exports = { SCORE_WEIGHTS, classifySelector, analyzeSpec, scoreSpec, compareSpecs, renderMarkdown };
@@ -0,0 +1,296 @@
+/**
+ * Acceptance-criteria traceability (prd.json ↔ e2e specs ↔ test results)
+ *
+ * Tests are assigned to a story when the story ID appears in the spec file
+ * name or the test's describe/title path, or when they live in the task's
+ * e2eTestFile without naming any story.
+ *
+ * A test covers criterion N (1-based, acceptanceCriteria[N - 1]) when:
+ *   explicit - "AC-N" / "AC N" appears in a describe or test title, an @AC-N tag,
+ *              or an annotation { type: 'ac' | 'criterion', description: 'AC-N'
+ *              or the criterion text }
+ *   inferred - the test names no criterion but its titles share most of the
+ *              criterion's keywords
+ *
+ * Criterion status:
+ *   passing  - at least one covering test passed, none failed
+ *   partial  - some covering tests passed, some failed       (warning)
+ *   failing  - covering tests ran, none passed                (error)
+ *   not-run  - no results for any covering test              (warning; error when gating)
+ *   untested - no test covers it                             (error)
+ *   n/a      - not checkable in a browser (typecheck, lint, build)
+ */
+
+const path = require('path');
+const { allStories } = require('./prd');
+const { keywords } = require('./failures');
+const { reportTests, mentionsStory } = require('./evidence');
+
+const STATUS_ORDER = ['passing', 'partial', 'failing', 'not-run', 'untested', 'n/a'];
+const NOT_E2E = /\b(typecheck|type-check|type check|tsc|lint|linter|build)\b/i;
+const AC_REF = /\bAC[-\s]?(\d+)\b/gi;
+const ANNOTATION_TYPES = ['ac', 'criterion', 'acceptance', 'acceptance-criterion'];
+const MIN_INFERRED_OVERLAP = 0.5;
+
+function normalizePath(file) {
+  return file.split(path.sep).join('/').replace(/^\.\//, '');
+}
+
+function normalizeText(text) {
+  return String(text).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function criterionRefs(test, criteria) {
+  const refs = new Set();
+  const texts = [...test.title_path, ...test.tags];
+  for (const text of texts) {
+    for (const match of text.matchAll(AC_REF)) refs.add(Number(match[1]));
+  }
+  for (const annotation of test.annotations) {
+    if (!ANNOTATION_TYPES.includes(annotation.type.toLowerCase()) || !annotation.description) continue;
+    const numbered = [...annotation.description.matchAll(AC_REF)].map(match => Number(match[1]));
+    if (numbered.length > 0) numbered.forEach(n => refs.add(n));
+    else {
+      const index = criteria.findIndex(c => normalizeText(c) === normalizeText(annotation.description));
+      if (index !== -1) refs.add(index + 1);
+    }
+  }
+  return [...refs].sort((a, b) => a - b);
+}
+
+function inferredCriteria(test, criteria) {
+  const words = keywords(test.title_path.join(' ').replace(AC_REF, ' '));
+  const matches = [];
+  criteria.forEach((criterion, i) => {
+    const wanted = keywords(criterion);
+    if (wanted.size === 0) return;
+    const shared = [...wanted].filter(word => words.has(word)).length;
+    if (shared >= Math.min(2, wanted.size) && shared / wanted.size >= MIN_INFERRED_OVERLAP) matches.push(i + 1);
+  });
+  return matches;
+}
+
+/**
+ * Report results keyed by spec file + line and by file + title path.
+ * Report files are relative to the Playwright testDir.
+ */
+function indexResults(report, testDir) {
+  const byKey = new Map();
+  const add = (key, status) => {
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(status);
+  };
+  for (const test of report ? reportTests(report) : []) {
+    const file = normalizePath(path.join(testDir, test.file));
+    if (test.line !== null) add(`${file}:${test.line}`, test.status);
+    add(`${file}#${test.title_path.join(' › ')}`, test.status);
+  }
+  return byKey;
+}
+
+// One result per test across projects/browsers: any failure fails it
+function combineStatuses(statuses) {
+  if (!statuses || statuses.length === 0) return 'not-run';
+  if (statuses.includes('failed') || statuses.includes('timedOut') || statuses.includes('interrupted')) return 'failed';
+  if (statuses.every(status => status === 'skipped')) return 'skipped';
+  if (statuses.includes('flaky')) return 'flaky';
+  return 'passed';
+}
+
+function isBrowserCheckable(criterion) {
+  return !NOT_E2E.test(criterion);
+}
+
+function criterionStatus(criterion, tests) {
+  if (tests.length === 0) return isBrowserCheckable(criterion) ? 'untested' : 'n/a';
+  const passed = tests.filter(test => test.result === 'passed' || test.result === 'flaky').length;
+  const failed = tests.filter(test => test.result === 'failed').length;
+  if (passed > 0) return failed > 0 ? 'partial' : 'passing';
+  return failed > 0 ? 'failing' : 'not-run';
+}
+
+/**
+ * Build the matrix.
+ *
+ * options: {
+ *   specs:   [parseSpec() results],
+ *   report:  Playwright JSON report or null,
+ *   testDir: Playwright testDir relative to the project root (default 'e2e'),
+ *   stories: story IDs to include (default: all),
+ *   gate:    treat not-run criteria as errors
+ * }
+ * → { summary, stories: [{ id, title, task, spec_files, criteria, unmapped_tests }], issues }
+ */
+function buildMatrix(prd, options = {}) {
+  const specs = options.specs || [];
+  const results = indexResults(options.report || null, options.testDir || 'e2e');
+  const selected = options.stories && options.stories.length > 0 ? new Set(options.stories) : null;
+  const entries = allStories(prd);
+  const storyIds = entries.map(({ story }) => story.id);
+  const issues = [];
+  const missingReported = new Set();
+
+  if (selected) {
+    for (const id of selected) {
+      if (!storyIds.includes(id)) throw new Error(`Story ${id} not found in prd.json`);
+    }
+  }
+
+  const allTests = specs.flatMap(spec => spec.tests.map(test => {
+    const file = normalizePath(spec.file);
+    const statuses = results.get(`${file}:${test.line}`) || results.get(`${file}#${test.title_path.join(' › ')}`);
+    const result = test.mode === 'skip' || test.mode === 'fixme' ? 'skipped' : combineStatuses(statuses);
+    return { ...test, file, result };
+  }));
+
+  const stories = entries
+    .filter(({ story }) => !selected || selected.has(story.id))
+    .map(({ task, story }) => {
+      const criteria = story.acceptanceCriteria || [];
+      const taskFile = task.e2eTestFile ? normalizePath(task.e2eTestFile) : null;
+      const namesStory = test => mentionsStory(path.basename(test.file), story.id) ||
+        test.title_path.some(title => mentionsStory(title, story.id));
+      const namesAnyStory = test => storyIds.some(id =>
+        mentionsStory(path.basename(test.file), id) || test.title_path.some(title => mentionsStory(title, id)));
+      const tests = allTests.filter(test => namesStory(test) || (test.file === taskFile && !namesAnyStory(test)));
+
+      const covering = criteria.map(() => []);
+      const unmapped = [];
+      for (const test of tests) {
+        const explicit = criterionRefs(test, criteria);
+        for (const n of explicit.filter(n => n < 1 || n > criteria.length)) {
+          issues.push({
+            level: 'warning',
+            check: 'unknown-criterion',
+            target: `${test.file}:${test.line}`,
+            message: `AC-${n} does not exist - ${story.id} has ${criteria.length} acceptance criteria`
+          });
+        }
+        const valid = explicit.filter(n => n >= 1 && n <= criteria.length);
+        const match = valid.length > 0 ? 'explicit' : 'inferred';
+        const refs = valid.length > 0 || explicit.length > 0 ? valid : inferredCriteria(test, criteria);
+        if (refs.length === 0) unmapped.push(test);
+        for (const n of refs) covering[n - 1].push({ test, match });
+      }
+
+      const rows = criteria.map((criterion, i) => {
+        const rowTests = covering[i].map(({ test, match }) => ({
+          file: test.file,
+          line: test.line,
+          title: test.title_path.join(' › '),
+          match,
+          result: test.result
+        }));
+        const status = criterionStatus(criterion, rowTests);
+        const id = `AC-${i + 1}`;
+        const target = `${story.id} ${id}`;
+        const tally = result => rowTests.filter(test => test.result === result).length;
+
+        if (status === 'untested') {
+          issues.push({ level: 'error', check: 'criterion-untested', target, message: `no test covers "${criterion}"` });
+        } else if (status === 'failing') {
+          issues.push({ level: 'error', check: 'criterion-failing', target, message: `all ${tally('failed')} covering test(s) failed` });
+        } else if (status === 'partial') {
+          issues.push({ level: 'warning', check: 'criterion-partial', target, message: `${tally('failed')} of ${rowTests.length} covering test(s) failed` });
+        } else if (status === 'not-run') {
+          issues.push({
+            level: options.gate ? 'error' : 'warning',
+            check: 'criterion-not-run',
+            target,
+            message: `no results for its ${rowTests.length} covering test(s)${options.report ? '' : ' (no test report)'}`
+          });
+        }
+        if (rowTests.length > 0 && rowTests.every(test => test.match === 'inferred')) {
+          issues.push({ level: 'warning', check: 'criterion-inferred', target, message: 'only matched by title keywords - tag the test with (AC-N)' });
+        }
+        return { id, criterion, status, tests: rowTests };
+      });
+
+      if (taskFile && !missingReported.has(taskFile) && !specs.some(spec => normalizePath(spec.file) === taskFile)) {
+        missingReported.add(taskFile);
+        issues.push({ level: 'warning', check: 'spec-missing', target: task.id || story.id, message: `e2eTestFile ${taskFile} not found` });
+      }
+
+      return {
+        id: story.id,
+        title: story.title || '',
+        task: task.id || null,
+        spec_files: [...new Set(tests.map(test => test.file))],
+        criteria: rows,
+        unmapped_tests: unmapped.map(test => ({ file: test.file, line: test.line, title: test.title_path.join(' › '), result: test.result }))
+      };
+    });
+
+  const summary = { stories: stories.length, criteria: 0 };
+  for (const status of STATUS_ORDER) summary[status] = 0;
+  for (const row of stories.flatMap(story => story.criteria)) {
+    summary.criteria++;
+    summary[row.status]++;
+  }
+
+  return { summary, stories, issues };
+}
+
+const STATUS_ICONS = { passing: '✓', partial: '⚠', failing: '✗', 'not-run': '⚠', untested: '✗', 'n/a': '-' };
+
+function escapeCell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function resultCounts(tests) {
+  const counts = {};
+  for (const test of tests) counts[test.result] = (counts[test.result] || 0) + 1;
+  return Object.entries(counts).map(([result, count]) => `${count} ${result}`).join(', ') || '-';
+}
+
+function renderMarkdown(matrix, options = {}) {
+  const { summary } = matrix;
+  const lines = [
+    '# Acceptance Criteria Traceability',
+    '',
+    `Generated by \`node scripts/ralph/traceability.js\`${options.generatedAt ? ` at ${options.generatedAt}` : ''}.`,
+    '',
+    `**${summary.passing}/${summary.criteria}** criteria passing` +
+      ` · ${summary.partial} partial · ${summary.failing} failing · ${summary['not-run']} not run` +
+      ` · ${summary.untested} untested · ${summary['n/a']} n/a`,
+    ''
+  ];
+
+  for (const story of matrix.stories) {
+    lines.push(`## ${story.id}: ${story.title}`, '');
+    lines.push(`Specs: ${story.spec_files.length > 0 ? story.spec_files.map(f => `\`${f}\``).join(', ') : 'none'}`, '');
+    lines.push('| AC | Criterion | Tests | Results | Status |');
+    lines.push('|----|-----------|-------|---------|--------|');
+    for (const row of story.criteria) {
+      const tests = row.tests
+        .map(test => `\`${path.basename(test.file)}:${test.line}\`${test.match === 'inferred' ? ' (inferred)' : ''}`)
+        .join('<br>') || '-';
+      lines.push(`| ${row.id} | ${escapeCell(row.criterion)} | ${tests} | ${resultCounts(row.tests)} | ${STATUS_ICONS[row.status]} ${row.status} |`);
+    }
+    if (story.unmapped_tests.length > 0) {
+      lines.push('', `Tests not linked to a criterion (${story.unmapped_tests.length}):`);
+      for (const test of story.unmapped_tests) {
+        lines.push(`- \`${path.basename(test.file)}:${test.line}\` ${escapeCell(test.title)}`);
+      }
+    }
+    lines.push('');
+  }
+
+  if (matrix.issues.length > 0) {
+    lines.push('## Issues', '');
+    for (const issue of matrix.issues) {
+      lines.push(`- ${issue.level === 'error' ? '✗' : '⚠'} **${issue.target}**: ${escapeCell(issue.message)} [${issue.check}]`);
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  STATUS_ORDER,
+  isBrowserCheckable,
+  criterionRefs,
+  inferredCriteria,
+  buildMatrix,
+  renderMarkdown
+};
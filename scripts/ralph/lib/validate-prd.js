@@ -0,0 +1,135 @@
+/**
+ * prd.json validation
+ *
+ * Two passes:
+ * 1. Schema - structure checked against schemas/prd-<version>.schema.json
+ * 2. Lint   - cross-references the schema cannot express (only run once the
+ *             schema pass is clean, since it walks the structure it checks):
+ *    - duplicate story IDs
+ *    - depends_on → unknown story
+ *    - dependency cycles
+ *    - currentTask → missing task
+ *    - test_categories not defined in VALIDATION-FRAMEWORK.md
+ *    - e2eTestFile that does not exist
+ *
+ * Each issue: { level: 'error' | 'warning', rule, path, message }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { allStories } = require('./prd');
+const { buildStoryGraph, findCycles } = require('./graph');
+const { validateSchema } = require('./schema');
+const { normalizeVersion } = require('../migrations');
+const { schemaForVersion } = require('../schemas');
+
+const FRAMEWORK_PATH = path.join(__dirname, '..', 'VALIDATION-FRAMEWORK.md');
+
+/**
+ * Category IDs declared as **ID:** `slug` under each "### Category" heading
+ */
+function loadTestCategories(frameworkPath = FRAMEWORK_PATH) {
+  const content = fs.readFileSync(frameworkPath, 'utf8');
+  const ids = [];
+  const regex = /^### Category[^\n]*\n+\*\*ID:\*\*\s*`([^`]+)`/gm;
+  let match;
+  while ((match = regex.exec(content)) !== null) {
+    ids.push(match[1]);
+  }
+  return ids;
+}
+
+function storyPath(taskIndex, storyIndex) {
+  return `tasks[${taskIndex}].stories[${storyIndex}]`;
+}
+
+function lintPrd(prd, options = {}) {
+  const root = options.root || process.cwd();
+  const categories = options.categories || loadTestCategories(options.frameworkPath);
+  const issues = [];
+  const error = (rule, p, message) => issues.push({ level: 'error', rule, path: p, message });
+  const warning = (rule, p, message) => issues.push({ level: 'warning', rule, path: p, message });
+
+  const stories = allStories(prd);
+
+  // Duplicate story IDs (IDs are global across tasks)
+  const firstSeen = new Map();
+  for (const { story, taskIndex, storyIndex } of stories) {
+    if (!story.id) continue;
+    const p = storyPath(taskIndex, storyIndex);
+    if (firstSeen.has(story.id)) {
+      error('duplicate-story-id', `${p}.id`, `duplicate story ID "${story.id}" (first defined at ${firstSeen.get(story.id)})`);
+    } else {
+      firstSeen.set(story.id, p);
+    }
+  }
+
+  // Unknown dependencies and test categories
+  for (const { story, taskIndex, storyIndex } of stories) {
+    const p = storyPath(taskIndex, storyIndex);
+    (story.depends_on || []).forEach((dep, i) => {
+      if (dep === story.id) {
+        error('self-dependency', `${p}.depends_on[${i}]`, `story "${story.id}" depends on itself`);
+      } else if (!firstSeen.has(dep)) {
+        error('unknown-dependency', `${p}.depends_on[${i}]`, `"${dep}" is not a story in prd.json`);
+      }
+    });
+    (story.test_categories || []).forEach((category, i) => {
+      if (!categories.includes(category)) {
+        error('unknown-test-category', `${p}.test_categories[${i}]`,
+          `"${category}" is not defined in VALIDATION-FRAMEWORK.md (known: ${categories.join(', ')})`);
+      }
+    });
+  }
+
+  // Dependency cycles (self-dependencies are reported above)
+  for (const cycle of findCycles(buildStoryGraph(prd))) {
+    if (cycle.length <= 2) continue;
+    const p = firstSeen.get(cycle[0]);
+    error('dependency-cycle', `${p}.depends_on`, `dependency cycle: ${cycle.join(' → ')}`);
+  }
+
+  // currentTask must point at a task
+  if (prd.currentTask) {
+    const taskIds = (prd.tasks || []).map(task => task.id);
+    if (!taskIds.includes(prd.currentTask)) {
+      error('unknown-current-task', 'currentTask', `"${prd.currentTask}" is not a task in prd.json`);
+    }
+  }
+
+  // e2eTestFile must exist once any story in the task has tests written
+  (prd.tasks || []).forEach((task, taskIndex) => {
+    if (!task.e2eTestFile || fs.existsSync(path.resolve(root, task.e2eTestFile))) return;
+    const p = `tasks[${taskIndex}].e2eTestFile`;
+    const testsWritten = (task.stories || []).some(story => story.checkpoints && story.checkpoints.tests_written);
+    const message = `${task.e2eTestFile} does not exist`;
+    if (testsWritten) error('missing-e2e-file', p, message);
+    else warning('missing-e2e-file', p, `${message} (no tests written yet)`);
+  });
+
+  return issues;
+}
+
+/**
+ * Validate a prd object. Returns { version, issues }.
+ */
+function validatePrd(prd, options = {}) {
+  if (!prd || typeof prd !== 'object' || Array.isArray(prd)) {
+    const got = prd === null ? 'null' : Array.isArray(prd) ? 'array' : typeof prd;
+    return { version: null, issues: [{ level: 'error', rule: 'schema', path: '(root)', message: `expected object, got ${got}` }] };
+  }
+  let version;
+  try {
+    version = normalizeVersion(prd.version);
+  } catch (e) {
+    return { version: null, issues: [{ level: 'error', rule: 'schema', path: 'version', message: e.message }] };
+  }
+
+  const issues = validateSchema(prd, schemaForVersion(version))
+    .map(({ path: p, message }) => ({ level: 'error', rule: 'schema', path: p, message }));
+
+  if (issues.length > 0) return { version, issues };
+  return { version, issues: lintPrd(prd, options) };
+}
+
+module.exports = { FRAMEWORK_PATH, loadTestCategories, lintPrd, validatePrd };
@@ -0,0 +1,242 @@
+#!/usr/bin/env node
+/**
+ * Record story lifecycle events and report on METRICS.json
+ *
+ * Every record command re-computes the aggregate block
+ * (total_iterations, avg_iterations, common_failures, ...).
+ * common_failures clusters the blocking_issues in reviews/*.json.
+ * When prd.json exists, events for stories it does not list are rejected.
+ *
+ * Usage:
+ *   node metrics.js session-start | session-end
+ *   node metrics.js start <story>
+ *   node metrics.js attempt <story> [--reason <text>]
+ *   node metrics.js checkpoint <story> <name> <PASS|FAIL:reason|SKIP:reason>
+ *   node metrics.js complete <story>
+ *   node metrics.js aggregate
+ *   node metrics.js report [--json]
+ *
+ * Options: --metrics <path> --prd <path> --reviews <dir>
+ */
+
+const fs = require('fs');
+const { DEFAULT_PRD_PATH, CHECKPOINT_ORDER, loadPrd, checkpointFailed, allStories } = require('./lib/prd');
+const { DEFAULT_REVIEWS_DIR, loadReviews } = require('./lib/reviews');
+const {
+  DEFAULT_METRICS_PATH,
+  loadMetrics,
+  saveMetrics,
+  startSession,
+  endSession,
+  recordEvent,
+  recomputeAggregate,
+  buildReport
+} = require('./lib/metrics');
+
+const COMMANDS = ['session-start', 'session-end', 'start', 'attempt', 'checkpoint', 'complete', 'aggregate', 'report'];
+
+function parseArgs(argv) {
+  const args = {
+    command: null,
+    positional: [],
+    metricsPath: DEFAULT_METRICS_PATH,
+    prdPath: DEFAULT_PRD_PATH,
+    reviewsDir: DEFAULT_REVIEWS_DIR,
+    reason: null,
+    json: false,
+    help: false
+  };
+  const value = (i, flag) => {
+    if (!argv[i]) throw new Error(`${flag} requires a value`);
+    return argv[i];
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--metrics') args.metricsPath = value(++i, arg);
+    else if (arg === '--prd') args.prdPath = value(++i, arg);
+    else if (arg === '--reviews') args.reviewsDir = value(++i, arg);
+    else if (arg === '--reason') args.reason = value(++i, arg);
+    else if (arg === '--json') args.json = true;
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (arg.startsWith('-')) throw new Error(`Unknown option: ${arg}`);
+    else if (!args.command) args.command = arg;
+    else args.positional.push(arg);
+  }
+
+  if (!args.help) {
+    if (!args.command) throw new Error(`Missing command (expected: ${COMMANDS.join(', ')})`);
+    if (!COMMANDS.includes(args.command)) throw new Error(`Unknown command: ${args.command}`);
+    const needsStory = ['start', 'attempt', 'checkpoint', 'complete'].includes(args.command);
+    if (needsStory && !args.positional[0]) throw new Error(`${args.command} requires a story ID`);
+    if (args.command === 'checkpoint' && args.positional.length < 3) {
+      throw new Error('checkpoint requires <story> <name> <PASS|FAIL:reason|SKIP:reason>');
+    }
+  }
+  return args;
+}
+
+function printHelp() {
+  console.log('Usage: node metrics.js <command> [args] [options]');
+  console.log('');
+  console.log('Commands:');
+  console.log('  session-start                      Open a new session (closes any open one)');
+  console.log('  session-end                        Close the open session');
+  console.log('  start <story>                      Story work started');
+  console.log('  attempt <story> [--reason <text>]  New implementation attempt');
+  console.log('  checkpoint <story> <name> <value>  Checkpoint result (PASS, FAIL:reason, SKIP:reason)');
+  console.log('  complete <story>                   Story validated and committed');
+  console.log('  aggregate                          Recompute the aggregate block only');
+  console.log('  report [--json]                    Time per story, attempts, session trends');
+  console.log('');
+  console.log('Options:');
+  console.log(`  --metrics <path>  METRICS.json (default: ${DEFAULT_METRICS_PATH})`);
+  console.log(`  --prd <path>      prd.json (default: ${DEFAULT_PRD_PATH})`);
+  console.log(`  --reviews <dir>   Review results (default: ${DEFAULT_REVIEWS_DIR})`);
+}
+
+function formatDuration(ms) {
+  if (ms === null || !Number.isFinite(ms)) return '-';
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function printReport(report) {
+  const { aggregate } = report;
+
+  console.log('═══════════════════════════════════════════════════════════');
+  console.log('Ralph Metrics Report');
+  console.log('═══════════════════════════════════════════════════════════\n');
+
+  console.log(`Stories: ${aggregate.completed_stories}/${aggregate.total_stories} complete`);
+  console.log(`Iterations: ${aggregate.total_iterations} total, ${aggregate.avg_iterations} avg per started story`);
+  console.log(`Time: ${formatDuration(aggregate.total_time_ms)} across completed stories\n`);
+
+  console.log('Per story:');
+  console.log('  Story      Status        Attempts   Time');
+  for (const story of report.stories) {
+    const budget = story.max_attempts !== null ? `${story.attempts}/${story.max_attempts}` : String(story.attempts);
+    const flag = story.over_budget ? ' ⚠ out of attempts' : '';
+    const time = `${formatDuration(story.time_ms)}${story.running ? ' (running)' : ''}`;
+    const unknown = story.unknown ? ' ⚠ unknown story (not in prd.json)' : '';
+    console.log(`  ${story.id.padEnd(10)} ${story.status.padEnd(13)} ${budget.padEnd(10)} ${time}${flag}${unknown}`);
+    for (const { checkpoint, failures } of story.checkpoint_failures) {
+      console.log(`             ✗ ${checkpoint} failed ${failures}x`);
+    }
+  }
+
+  console.log('\nSessions:');
+  if (report.sessions.length === 0) console.log('  (none recorded - use `metrics.js session-start`)');
+  for (const session of report.sessions) {
+    const ratio = session.attempts_per_completed_story === null ? '-' : session.attempts_per_completed_story;
+    console.log(`  #${session.id} ${session.started_at} (${formatDuration(session.duration_ms)}${session.ended_at ? '' : ', open'}): ` +
+      `${session.stories_completed.length} completed, ${session.attempts} attempts, ` +
+      `${session.checkpoint_failures} checkpoint failures, ${ratio} attempts/completed story`);
+  }
+
+  console.log('\nCommon failures (from reviews):');
+  if (aggregate.common_failures.length === 0) console.log('  None');
+  for (const cluster of aggregate.common_failures) {
+    console.log(`  ${cluster.count}x ${cluster.label} [${cluster.stories.join(', ')}]`);
+    console.log(`     e.g. ${cluster.examples[0]}`);
+  }
+  console.log('');
+}
+
+function run(args) {
+  const metrics = loadMetrics(args.metricsPath);
+  const prd = fs.existsSync(args.prdPath) ? loadPrd(args.prdPath) : null;
+  const [story, name, value] = args.positional;
+  const prdEntry = story && prd ? allStories(prd).find(entry => entry.story.id === story) : null;
+  if (story && prd && !prdEntry) {
+    throw new Error(`Unknown story ${story} - not in ${args.prdPath}`);
+  }
+
+  switch (args.command) {
+    case 'session-start': {
+      const session = startSession(metrics);
+      console.log(`✓ Session #${session.id} started`);
+      break;
+    }
+    case 'session-end': {
+      const session = endSession(metrics);
+      console.log(`✓ Session #${session.id} ended`);
+      break;
+    }
+    case 'start':
+      recordEvent(metrics, { type: 'started', story });
+      console.log(`✓ ${story} started`);
+      break;
+    case 'attempt': {
+      const entry = recordEvent(metrics, { type: 'attempt', story, reason: args.reason });
+      const max = prd && prd.config && prd.config.max_attempts_per_story;
+      console.log(`✓ ${story} attempt ${entry.iterations}${max ? `/${max}` : ''}`);
+      if (max && entry.iterations >= max) console.log(`⚠️  ${story} has used all ${max} attempts`);
+      break;
+    }
+    case 'checkpoint': {
+      // Known workflow checkpoints, plus any custom ones the story declares
+      const known = [...CHECKPOINT_ORDER, ...Object.keys((prdEntry && prdEntry.story.checkpoints) || {})];
+      if (!known.includes(name)) {
+        throw new Error(`Unknown checkpoint "${name}" (expected one of: ${[...new Set(known)].join(', ')})`);
+      }
+      const failed = checkpointFailed(value);
+      if (!failed && value !== 'PASS' && !value.startsWith('SKIP:')) {
+        throw new Error(`Invalid checkpoint value "${value}" (expected PASS, FAIL:<reason> or SKIP:<reason>)`);
+      }
+      recordEvent(metrics, {
+        type: failed ? 'checkpoint_failed' : 'checkpoint_passed',
+        story,
+        checkpoint: name,
+        reason: value.includes(':') ? value.slice(value.indexOf(':') + 1) : null
+      });
+      console.log(`✓ ${story} ${name}: ${value}`);
+      break;
+    }
+    case 'complete':
+      recordEvent(metrics, { type: 'completed', story });
+      console.log(`✓ ${story} completed`);
+      break;
+  }
+
+  recomputeAggregate(metrics, { prd, reviews: loadReviews(args.reviewsDir) });
+
+  if (args.command === 'report') {
+    const report = buildReport(metrics, { prd });
+    if (args.json) console.log(JSON.stringify(report, null, 2));
+    else printReport(report);
+    return;
+  }
+
+  if (args.command === 'aggregate') {
+    metrics.updated_at = new Date().toISOString();
+    console.log(`✓ Aggregate: ${metrics.aggregate.total_iterations} iterations, ` +
+      `${metrics.aggregate.common_failures.length} failure cluster(s)`);
+  }
+  saveMetrics(args.metricsPath, metrics);
+}
+
+if (require.main === module) {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.log(`ERROR: ${e.message}`);
+    process.exit(1);
+  }
+
+  if (args.help) {
+    printHelp();
+    process.exit(0);
+  }
+
+  try {
+    run(args);
+  } catch (e) {
+    console.log(`ERROR: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { parseArgs, run };
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/**
+ * Migrate prd.json between schema versions
+ *
+ * Runs the ordered steps in migrations/ (2.0 → 2.1 → 3.0 → 4.0) up or down
+ * to the target version. Re-running on an already-migrated file is a no-op.
+ * The result must pass the target version's schema (schemas/) before it is written.
+ *
+ * Usage: node migrate.js [prd.json path] [--to <version>] [--dry-run] [--json]
+ */
+
+const { DEFAULT_PRD_PATH, loadPrd, savePrd, backupPrd } = require('./lib/prd');
+const { formatChange } = require('./lib/diff');
+const { validateSchema } = require('./lib/schema');
+const { VERSIONS, LATEST_VERSION, migratePrd } = require('./migrations');
+const { schemaForVersion } = require('./schemas');
+
+function parseArgs(argv) {
+  const args = { prdPath: DEFAULT_PRD_PATH, to: LATEST_VERSION, dryRun: false, json: false, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--to') args.to = argv[++i];
+    else if (arg === '--dry-run') args.dryRun = true;
+    else if (arg === '--json') args.json = true;
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (!arg.startsWith('-')) args.prdPath = arg;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+  if (!args.to) throw new Error('--to requires a version');
+  return args;
+}
+
+function printHelp() {
+  console.log('Usage: node migrate.js [prd.json path] [--to <version>] [--dry-run] [--json]');
+  console.log('');
+  console.log('Options:');
+  console.log(`  --to <version>  Target version (default: ${LATEST_VERSION}; known: ${VERSIONS.join(', ')})`);
+  console.log('                  Targets older than the current version run down-migrations');
+  console.log('  --dry-run       Show the changes that would be made without writing');
+  console.log('  --json          Print the migration result as JSON');
+  console.log('  --help, -h      Show this help message');
+  console.log('');
+  console.log(`Default path: ${DEFAULT_PRD_PATH}`);
+}
+
+function run(args) {
+  const prd = loadPrd(args.prdPath);
+  const result = migratePrd(prd, args.to);
+  const noop = result.changes.length === 0;
+  const schemaErrors = validateSchema(result.prd, schemaForVersion(result.to));
+  const refuse = () => {
+    throw new Error(`Migrated prd.json fails the v${result.to} schema (${schemaErrors.length} error(s)) - not written`);
+  };
+
+  if (args.json) {
+    console.log(JSON.stringify({
+      file: args.prdPath,
+      from: result.from,
+      to: result.to,
+      dry_run: args.dryRun,
+      steps: result.steps,
+      changes: result.changes,
+      schema_errors: schemaErrors
+    }, null, 2));
+    if (!args.dryRun && !noop) {
+      if (schemaErrors.length > 0) refuse();
+      backupPrd(args.prdPath);
+      savePrd(args.prdPath, result.prd);
+    }
+    return;
+  }
+
+  console.log('═══════════════════════════════════════════════════════════');
+  console.log(`Ralph prd.json Migration: v${result.from} → v${result.to}`);
+  console.log('═══════════════════════════════════════════════════════════\n');
+
+  if (noop) {
+    console.log(`Already at v${result.to} - no migration needed`);
+    return;
+  }
+
+  console.log('Steps:');
+  for (const step of result.steps) {
+    const label = step.direction === 'up' ? `↑ ${step.description}` : `↓ Revert: ${step.description}`;
+    console.log(`  ${step.from} → ${step.to}  ${label}`);
+  }
+
+  console.log(`\nChanges (${result.changes.length}):`);
+  for (const change of result.changes) {
+    console.log(formatChange(change));
+  }
+
+  if (schemaErrors.length > 0) {
+    console.log(`\nSchema errors (v${result.to}):`);
+    for (const error of schemaErrors) {
+      console.log(`  ✗ ${error.path}: ${error.message}`);
+    }
+  }
+
+  if (args.dryRun) {
+    console.log('\nDRY RUN - no changes written');
+    return;
+  }
+
+  if (schemaErrors.length > 0) refuse();
+
+  if (result.steps.some(step => step.direction === 'down')) {
+    console.log('\n⚠️  Down-migration drops fields that older versions do not support');
+  }
+
+  const backupPath = backupPrd(args.prdPath);
+  savePrd(args.prdPath, result.prd);
+
+  console.log(`\n✓ Saved ${args.prdPath}`);
+  console.log(`  Backup: ${backupPath}`);
+  console.log('═══════════════════════════════════════════════════════════\n');
+}
+
+if (require.main === module) {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.log(`ERROR: ${e.message}`);
+    process.exit(1);
+  }
+
+  if (args.help) {
+    printHelp();
+    process.exit(0);
+  }
+
+  try {
+    run(args);
+  } catch (e) {
+    console.log(`ERROR: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { parseArgs, run };
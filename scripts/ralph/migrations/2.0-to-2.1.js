@@ -0,0 +1,45 @@
+/**
+ * v2.0 → v2.1
+ *
+ * v2.1 introduced dependency-aware parallel execution:
+ * - depends_on per story (empty = independent)
+ * - test_categories per story (see VALIDATION-FRAMEWORK.md)
+ * - checkpoints block with the four v2 validation gates
+ */
+
+const { allStories } = require('../lib/prd');
+
+const V2_CHECKPOINTS = [
+  'tests_written',
+  'build_complete',
+  'playwright_validated',
+  'browser_validated'
+];
+
+module.exports = {
+  from: '2.0',
+  to: '2.1',
+  description: 'Add depends_on, test_categories and v2 checkpoints to stories',
+
+  up(prd) {
+    for (const { story } of allStories(prd)) {
+      story.depends_on = story.depends_on ?? [];
+      story.test_categories = story.test_categories ?? [];
+      story.checkpoints = story.checkpoints ?? {};
+      for (const name of V2_CHECKPOINTS) {
+        story.checkpoints[name] = story.checkpoints[name] ?? false;
+      }
+    }
+    return prd;
+  },
+
+  // Lossy: dependency graph and categories are dropped
+  down(prd) {
+    for (const { story } of allStories(prd)) {
+      delete story.depends_on;
+      delete story.test_categories;
+      delete story.checkpoints;
+    }
+    return prd;
+  }
+};
@@ -0,0 +1,99 @@
+/**
+ * v2.1 → v3.0
+ *
+ * - intent section (placeholder, filled via /intent-engineer)
+ * - user_stories array per story (filled via /user-story-generator)
+ * - whitebox_validated + cleanup_complete checkpoints
+ * - metrics tracking per story
+ * - config: enable_whitebox, enable_learning_enforcer, cleanup_per_story
+ */
+
+const { allStories } = require('../lib/prd');
+
+const CONFIG_DEFAULTS = {
+  max_attempts_per_story: 5,
+  parallel_build: true,
+  parallel_validate: true,
+  dev_server_url: 'http://localhost:3000',
+  test_timeout_ms: 30000
+};
+
+const V3_CONFIG = {
+  enable_whitebox: true,
+  enable_learning_enforcer: true,
+  cleanup_per_story: true
+};
+
+const V3_CHECKPOINTS = ['whitebox_validated', 'cleanup_complete'];
+
+function isDefaultConfig(config) {
+  const keys = Object.keys(config);
+  return keys.length === Object.keys(CONFIG_DEFAULTS).length &&
+    keys.every(key => config[key] === CONFIG_DEFAULTS[key]);
+}
+
+module.exports = {
+  from: '2.1',
+  to: '3.0',
+  description: 'Add intent, user_stories, whitebox/cleanup checkpoints, metrics and v3 config',
+
+  up(prd) {
+    if (!prd.intent) {
+      prd.intent = {
+        problem_statement: '[To be filled via /intent-engineer skill]',
+        user_personas: [],
+        constraints: {
+          technical: [],
+          compliance: [],
+          business: []
+        },
+        risks: [],
+        success_metrics: {
+          quantitative: [],
+          qualitative: [],
+          business: []
+        }
+      };
+    }
+
+    prd.config = prd.config ?? { ...CONFIG_DEFAULTS };
+    for (const [key, value] of Object.entries(V3_CONFIG)) {
+      prd.config[key] = prd.config[key] ?? value;
+    }
+
+    for (const { story } of allStories(prd)) {
+      story.user_stories = story.user_stories ?? [];
+      story.checkpoints = story.checkpoints ?? {};
+      for (const name of V3_CHECKPOINTS) {
+        story.checkpoints[name] = story.checkpoints[name] ?? false;
+      }
+      story.metrics = story.metrics ?? {
+        iterations: 0,
+        git_checkpoint: null,
+        started_at: null,
+        completed_at: null
+      };
+    }
+    return prd;
+  },
+
+  // Lossy: intent, user stories and per-story metrics are dropped.
+  // config is removed when it is still the CONFIG_DEFAULTS block up() inserts;
+  // a 2.1 file that spelled out exactly those defaults loses the block too
+  // (config is optional in v2.1).
+  down(prd) {
+    delete prd.intent;
+    if (prd.config) {
+      for (const key of Object.keys(V3_CONFIG)) delete prd.config[key];
+      if (isDefaultConfig(prd.config)) delete prd.config;
+    }
+    for (const { story } of allStories(prd)) {
+      delete story.user_stories;
+      delete story.metrics;
+      if (story.checkpoints) {
+        for (const name of V3_CHECKPOINTS) delete story.checkpoints[name];
+      }
+    }
+    return prd;
+  }
+};
@@ -0,0 +1,60 @@
+/**
+ * v3.0 → v4.0 (see UPGRADE-V4.md)
+ *
+ * - refinement_1 / refinement_2 checkpoints (mandatory self-refinement passes)
+ * - evidence_collected / glm_approved checkpoints (external review)
+ * - config: refinement_passes, enable_external_review, reviewer models
+ */
+
+const { allStories } = require('../lib/prd');
+
+const V4_CHECKPOINTS = [
+  'refinement_1',
+  'refinement_2',
+  'evidence_collected',
+  'glm_approved'
+];
+
+const V4_CONFIG = {
+  refinement_passes: 2,
+  enable_external_review: true,
+  reviewer: {
+    provider: 'openrouter',
+    model: 'google/gemini-3-flash-preview',
+    test_writer_model: 'google/gemini-3-flash-preview',
+    min_confidence: 80
+  }
+};
+
+module.exports = {
+  from: '3.0',
+  to: '4.0',
+  description: 'Add refinement/evidence/review checkpoints and reviewer config',
+
+  up(prd) {
+    prd.config = prd.config ?? {};
+    for (const [key, value] of Object.entries(V4_CONFIG)) {
+      prd.config[key] = prd.config[key] ?? JSON.parse(JSON.stringify(value));
+    }
+
+    for (const { story } of allStories(prd)) {
+      story.checkpoints = story.checkpoints ?? {};
+      for (const name of V4_CHECKPOINTS) {
+        story.checkpoints[name] = story.checkpoints[name] ?? false;
+      }
+    }
+    return prd;
+  },
+
+  down(prd) {
+    if (prd.config) {
+      for (const key of Object.keys(V4_CONFIG)) delete prd.config[key];
+    }
+    for (const { story } of allStories(prd)) {
+      if (story.checkpoints) {
+        for (const name of V4_CHECKPOINTS) delete story.checkpoints[name];
+      }
+    }
+    return prd;
+  }
+};
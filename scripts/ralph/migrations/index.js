@@ -0,0 +1,116 @@
+/**
+ * prd.json migration registry
+ *
+ * Steps are listed oldest → newest. Each step exports:
+ *   { from, to, description, up(prd), down(prd) }
+ *
+ * up/down mutate and return the prd object. Both must be idempotent:
+ * applying a step to an already-migrated file must not change it.
+ *
+ * To add a version: create `<from>-to-<to>.js` and append it below.
+ */
+
+const { diff } = require('../lib/diff');
+
+const MIGRATIONS = [
+  require('./2.0-to-2.1'),
+  require('./2.1-to-3.0'),
+  require('./3.0-to-4.0')
+];
+
+const VERSIONS = [MIGRATIONS[0].from, ...MIGRATIONS.map(m => m.to)];
+const LATEST_VERSION = VERSIONS[VERSIONS.length - 1];
+
+// Files written before the version field existed are v2.0
+const DEFAULT_VERSION = '2.0';
+
+/**
+ * Normalize a version value from prd.json ("3", 3, "3.0" → "3.0")
+ * Throws on versions the registry does not know about.
+ */
+function normalizeVersion(version) {
+  if (version === undefined || version === null || version === '') {
+    return DEFAULT_VERSION;
+  }
+
+  let normalized = String(version).trim().replace(/^v/i, '');
+  if (/^\d+$/.test(normalized)) normalized += '.0';
+
+  if (!VERSIONS.includes(normalized)) {
+    throw new Error(`Unknown prd.json version "${version}" (known: ${VERSIONS.join(', ')})`);
+  }
+  return normalized;
+}
+
+/**
+ * Ordered list of { step, direction } to go from one version to another
+ */
+function planMigration(fromVersion, toVersion) {
+  const from = VERSIONS.indexOf(normalizeVersion(fromVersion));
+  const to = VERSIONS.indexOf(normalizeVersion(toVersion));
+
+  if (to >= from) {
+    return MIGRATIONS.slice(from, to).map(step => ({ step, direction: 'up' }));
+  }
+  return MIGRATIONS.slice(to, from).reverse().map(step => ({ step, direction: 'down' }));
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function applyStep(prd, step, direction) {
+  const next = step[direction](clone(prd));
+  next.version = direction === 'up' ? step.to : step.from;
+
+  // Idempotency guard: running the step again must be a no-op
+  const again = step[direction](clone(next));
+  again.version = next.version;
+  const drift = diff(next, again);
+  if (drift.length > 0) {
+    throw new Error(
+      `Migration ${step.from} → ${step.to} (${direction}) is not idempotent: ${drift[0].path}`
+    );
+  }
+  return next;
+}
+
+/**
+ * Migrate a prd object to the target version (default: latest).
+ * Does not touch the input; returns the migrated copy plus a structured diff.
+ */
+function migratePrd(prd, targetVersion = LATEST_VERSION) {
+  const from = normalizeVersion(prd.version);
+  const to = normalizeVersion(targetVersion);
+  const plan = planMigration(from, to);
+
+  let migrated = clone(prd);
+  for (const { step, direction } of plan) {
+    migrated = applyStep(migrated, step, direction);
+  }
+  // Normalize the version string even when no step ran ("3" → "3.0")
+  if (plan.length === 0 && prd.version !== undefined) migrated.version = to;
+
+  return {
+    from,
+    to,
+    steps: plan.map(({ step, direction }) => ({
+      from: direction === 'up' ? step.from : step.to,
+      to: direction === 'up' ? step.to : step.from,
+      direction,
+      description: step.description
+    })),
+    prd: migrated,
+    changes: diff(prd, migrated)
+  };
+}
+
+module.exports = {
+  MIGRATIONS,
+  VERSIONS,
+  LATEST_VERSION,
+  DEFAULT_VERSION,
+  normalizeVersion,
+  planMigration,
+  migratePrd
+};
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/**
+ * Regenerate STATE.md from prd.json + METRICS.json
+ *
+ * The progress table, resume point, blockers and notes are all derived
+ * from checkpoints/passes/depends_on and recorded metrics. Session History
+ * rows are kept from the existing STATE.md; --append-session adds one.
+ *
+ * --check renders in memory and exits 1 if STATE.md is out of date
+ * (use in CI or before committing).
+ *
+ * Usage: node render-state.js [--prd <path>] [--metrics <path>] [--out <path>]
+ *                             [--check] [--append-session [--since <ISO time>]]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_PRD_PATH, loadPrd } = require('./lib/prd');
+const { DEFAULT_METRICS_PATH, loadMetrics } = require('./lib/metrics');
+const { renderState } = require('./lib/state');
+
+const DEFAULT_STATE_PATH = path.join('scripts', 'ralph', 'STATE.md');
+
+function parseArgs(argv) {
+  const args = {
+    prdPath: DEFAULT_PRD_PATH,
+    metricsPath: DEFAULT_METRICS_PATH,
+    statePath: DEFAULT_STATE_PATH,
+    check: false,
+    appendSession: false,
+    since: null,
+    help: false
+  };
+  const value = (i, flag) => {
+    if (!argv[i]) throw new Error(`${flag} requires a value`);
+    return argv[i];
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--prd') args.prdPath = value(++i, arg);
+    else if (arg === '--metrics') args.metricsPath = value(++i, arg);
+    else if (arg === '--out') args.statePath = value(++i, arg);
+    else if (arg === '--since') args.since = value(++i, arg);
+    else if (arg === '--check') args.check = true;
+    else if (arg === '--append-session') args.appendSession = true;
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+
+  if (args.since && Number.isNaN(Date.parse(args.since))) {
+    throw new Error(`--since is not a valid date: ${args.since}`);
+  }
+  if (args.check && args.appendSession) {
+    throw new Error('--check cannot be combined with --append-session');
+  }
+  return args;
+}
+
+function printHelp() {
+  console.log('Usage: node render-state.js [options]');
+  console.log('');
+  console.log('Options:');
+  console.log(`  --prd <path>        prd.json to read (default: ${DEFAULT_PRD_PATH})`);
+  console.log(`  --metrics <path>    METRICS.json to read (default: ${DEFAULT_METRICS_PATH})`);
+  console.log(`  --out <path>        STATE.md to write (default: ${DEFAULT_STATE_PATH})`);
+  console.log('  --check             Exit 1 if STATE.md is stale, without writing');
+  console.log('  --append-session    Add a Session History row for this session');
+  console.log('  --since <ISO time>  Session start, used for the Duration column');
+  console.log('  --help, -h          Show this help message');
+}
+
+function firstDifference(a, b) {
+  const left = a.split('\n');
+  const right = b.split('\n');
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    if (left[i] !== right[i]) {
+      return { line: i + 1, expected: right[i] ?? '(end of file)', actual: left[i] ?? '(end of file)' };
+    }
+  }
+  return null;
+}
+
+function run(args) {
+  const prd = loadPrd(args.prdPath);
+  const metrics = loadMetrics(args.metricsPath);
+  const previous = fs.existsSync(args.statePath) ? fs.readFileSync(args.statePath, 'utf8') : null;
+
+  const rendered = renderState(prd, metrics, {
+    previous,
+    appendSession: args.appendSession,
+    since: args.since
+  });
+
+  if (args.check) {
+    const difference = previous === null ? { line: 1, expected: '(generated)', actual: '(missing file)' }
+      : firstDifference(previous, rendered);
+    if (!difference) {
+      console.log(`✓ ${args.statePath} is up to date`);
+      return true;
+    }
+    console.log(`STALE: ${args.statePath} does not match prd.json + METRICS.json`);
+    console.log(`  line ${difference.line}:`);
+    console.log(`    committed: ${difference.actual}`);
+    console.log(`    expected:  ${difference.expected}`);
+    console.log('Run: node scripts/ralph/render-state.js');
+    return false;
+  }
+
+  if (rendered === previous) {
+    console.log(`✓ ${args.statePath} already up to date`);
+    return true;
+  }
+  fs.writeFileSync(args.statePath, rendered);
+  console.log(`✓ Wrote ${args.statePath}`);
+  return true;
+}
+
+if (require.main === module) {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.log(`ERROR: ${e.message}`);
+    process.exit(1);
+  }
+
+  if (args.help) {
+    printHelp();
+    process.exit(0);
+  }
+
+  try {
+    process.exit(run(args) ? 0 : 1);
+  } catch (e) {
+    console.log(`ERROR: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { parseArgs, run };
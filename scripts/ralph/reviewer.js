@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+/**
+ * External review of evidence packages (glm_approved checkpoint)
+ *
+ * review - sends scripts/ralph/evidence/<story>.json to one or more models and
+ *          writes scripts/ralph/reviews/<story>.json. Evidence must pass
+ *          `evidence.js verify` first. Responses are validated against
+ *          schemas/review.schema.json and retried when invalid.
+ * check  - validates existing review files
+ *
+ * Providers:
+ *   openrouter - live models (OPENROUTER_API_KEY in the environment or .env.local)
+ *   local      - no network: replays recorded fixtures, else a deterministic
+ *                review from the test results. For CI.
+ *
+ * Usage:
+ *   node reviewer.js review <story> [--provider openrouter|local] [--model <id>]...
+ *                                   [--consensus] [--strategy unanimous|majority] [--record]
+ *   node reviewer.js check [<review file>...] [--json]
+ *
+ * Exits 1 unless every reviewed/checked story passes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_PRD_PATH, loadPrd } = require('./lib/prd');
+const { DEFAULT_EVIDENCE_DIR, loadEvidenceDir, verifyEvidence } = require('./lib/evidence');
+const { DEFAULT_REVIEWS_DIR } = require('./lib/reviews');
+const { validateReview } = require('./lib/review');
+const { STRATEGIES, reviewerConfig, runReview } = require('./lib/reviewer');
+const { PROVIDERS, createProvider } = require('./lib/providers');
+const { fixturePath } = require('./lib/providers/local');
+
+const DEFAULT_FIXTURES_DIR = path.join(DEFAULT_REVIEWS_DIR, 'fixtures');
+
+function parseArgs(argv) {
+  const args = {
+    command: null,
+    targets: [],
+    provider: null,
+    models: [],
+    consensus: false,
+    strategy: null,
+    retries: null,
+    minConfidence: null,
+    record: false,
+    skipVerify: false,
+    prdPath: DEFAULT_PRD_PATH,
+    evidenceDir: DEFAULT_EVIDENCE_DIR,
+    reviewsDir: DEFAULT_REVIEWS_DIR,
+    fixturesDir: DEFAULT_FIXTURES_DIR,
+    root: process.cwd(),
+    json: false,
+    help: false
+  };
+  const value = (i, flag) => {
+    if (!argv[i]) throw new Error(`${flag} requires a value`);
+    return argv[i];
+  };
+  const integer = (i, flag) => {
+    const n = Number(value(i, flag));
+    if (!Number.isInteger(n) || n < 0) throw new Error(`${flag} expects a non-negative integer`);
+    return n;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--provider') args.provider = value(++i, arg);
+    else if (arg === '--model') args.models.push(value(++i, arg));
+    else if (arg === '--consensus') args.consensus = true;
+    else if (arg === '--strategy') args.strategy = value(++i, arg);
+    else if (arg === '--retries') args.retries = integer(++i, arg);
+    else if (arg === '--min-confidence') args.minConfidence = integer(++i, arg);
+    else if (arg === '--record') args.record = true;
+    else if (arg === '--skip-verify') args.skipVerify = true;
+    else if (arg === '--prd') args.prdPath = value(++i, arg);
+    else if (arg === '--evidence-dir') args.evidenceDir = value(++i, arg);
+    else if (arg === '--reviews-dir') args.reviewsDir = value(++i, arg);
+    else if (arg === '--fixtures') args.fixturesDir = value(++i, arg);
+    else if (arg === '--root') args.root = value(++i, arg);
+    else if (arg === '--json') args.json = true;
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (arg.startsWith('-')) throw new Error(`Unknown option: ${arg}`);
+    else if (!args.command) args.command = arg;
+    else args.targets.push(arg);
+  }
+
+  if (!args.help) {
+    if (!['review', 'check'].includes(args.command)) throw new Error('Command must be "review" or "check"');
+    if (args.command === 'review' && args.targets.length !== 1) throw new Error('review requires exactly one story ID');
+    if (args.provider && !PROVIDERS[args.provider]) {
+      throw new Error(`--provider must be one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    if (args.strategy && !STRATEGIES.includes(args.strategy)) {
+      throw new Error(`--strategy must be one of: ${STRATEGIES.join(', ')}`);
+    }
+    if (args.minConfidence !== null && args.minConfidence > 100) throw new Error('--min-confidence must be 0-100');
+  }
+  return args;
+}
+
+function printHelp() {
+  console.log('Usage:');
+  console.log('  node reviewer.js review <story> [options]');
+  console.log('  node reviewer.js check [<review file>...] [--json]');
+  console.log('');
+  console.log('Defaults come from prd.json config.reviewer (provider, model, consensus_models,');
+  console.log('strategy, min_confidence, max_retries).');
+  console.log('');
+  console.log('Review options:');
+  console.log(`  --provider <name>       ${Object.keys(PROVIDERS).join(' | ')}`);
+  console.log('  --model <id>            Reviewer model (repeat for several; implies consensus)');
+  console.log('  --consensus             Review with config.reviewer.consensus_models');
+  console.log(`  --strategy <name>       Consensus strategy: ${STRATEGIES.join(' | ')} (default: unanimous)`);
+  console.log('  --retries <n>           Retries per model after an error or invalid response');
+  console.log('  --min-confidence <n>    A PASS below this confidence becomes FAIL');
+  console.log('  --record                Save each valid model review as a local-provider fixture');
+  console.log(`  --fixtures <dir>        Fixture directory (default: ${DEFAULT_FIXTURES_DIR})`);
+  console.log('  --skip-verify           Review even if evidence verification fails');
+  console.log('');
+  console.log('Options:');
+  console.log(`  --prd <path>            prd.json (default: ${DEFAULT_PRD_PATH})`);
+  console.log(`  --evidence-dir <dir>    Evidence packages (default: ${DEFAULT_EVIDENCE_DIR})`);
+  console.log(`  --reviews-dir <dir>     Review output (default: ${DEFAULT_REVIEWS_DIR})`);
+  console.log('  --root <dir>            Project root (default: current directory)');
+  console.log('  --json                  Print results as JSON');
+  console.log('  --help, -h              Show this help message');
+}
+
+function formatCost(usd) {
+  return usd === null ? 'unknown (unpriced model)' : `$${usd.toFixed(6)}`;
+}
+
+async function review(args) {
+  const storyId = args.targets[0];
+  const config = reviewerConfig(fs.existsSync(args.prdPath) ? loadPrd(args.prdPath) : null);
+  const providerName = args.provider || config.provider;
+  if (args.record && providerName === 'local') throw new Error('--record needs a live provider');
+
+  let models = args.models;
+  if (models.length === 0) models = args.consensus ? config.consensus_models : [config.model];
+
+  const packages = loadEvidenceDir(path.resolve(args.root, args.evidenceDir));
+  const found = packages.find(({ evidence }) => evidence.story_id === storyId);
+  if (!found) throw new Error(`No evidence package for ${storyId} in ${args.evidenceDir} - run evidence.js build first`);
+  const { evidence } = found;
+
+  const issues = verifyEvidence(evidence, { root: args.root, packages });
+  const errors = issues.filter(issue => issue.level === 'error');
+  if (errors.length > 0 && !args.skipVerify) {
+    throw new Error(`Evidence for ${storyId} fails verification (${errors.length} error(s)) - run evidence.js verify ${storyId}`);
+  }
+
+  const provider = createProvider(providerName, {
+    root: args.root,
+    fixturesDir: path.resolve(args.root, args.fixturesDir)
+  });
+  const { output, results } = await runReview(evidence, {
+    provider,
+    models,
+    strategy: args.strategy || config.strategy,
+    retries: args.retries !== null ? args.retries : (providerName === 'local' ? 0 : config.max_retries),
+    minConfidence: args.minConfidence !== null ? args.minConfidence : config.min_confidence,
+    root: args.root,
+    issues
+  });
+
+  const outPath = path.resolve(args.root, args.reviewsDir, `${storyId}.json`);
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  fs.writeFileSync(outPath, JSON.stringify(output, null, 2) + '\n');
+
+  const recorded = [];
+  if (args.record) {
+    for (const result of results.filter(r => r.review)) {
+      const file = fixturePath(path.resolve(args.root, args.fixturesDir), storyId, result.model);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({ model: result.model, review: result.review }, null, 2) + '\n');
+      recorded.push(path.relative(args.root, file));
+    }
+  }
+
+  const passed = output.review.verdict === 'PASS';
+  if (args.json) {
+    console.log(JSON.stringify({ file: path.relative(args.root, outPath), recorded, ...output }, null, 2));
+    return passed;
+  }
+
+  console.log('═══════════════════════════════════════════════════════════');
+  console.log(`Review: ${storyId} (${provider.name})`);
+  console.log('═══════════════════════════════════════════════════════════\n');
+  for (const result of results) {
+    const attempts = `${result.calls.length} call(s)`;
+    if (result.review) console.log(`  ${result.review.verdict === 'PASS' ? '✓' : '✗'} ${result.model}: ${result.review.verdict} (${result.review.confidence}) - ${attempts}`);
+    else console.log(`  ✗ ${result.model}: no valid review - ${attempts}: ${result.error}`);
+  }
+  if (output.consensus) console.log(`\nConsensus (${output.consensus.strategy}): ${output.review.verdict}`);
+  console.log(`\nVerdict: ${output.review.verdict} (confidence ${output.review.confidence})`);
+  for (const issue of output.review.blocking_issues) console.log(`  ✗ ${issue}`);
+  console.log(`Cost: ${formatCost(output.cost.total_usd)} over ${output.cost.calls.length} call(s)`);
+  for (const file of recorded) console.log(`Recorded fixture: ${file}`);
+  console.log(`\n✓ Wrote ${path.relative(args.root, outPath)}`);
+  return passed;
+}
+
+function check(args) {
+  const reviewsDir = path.resolve(args.root, args.reviewsDir);
+  const files = args.targets.length > 0
+    ? args.targets
+    : (fs.existsSync(reviewsDir) ? fs.readdirSync(reviewsDir).filter(n => n.endsWith('.json')).sort().map(n => path.join(reviewsDir, n)) : []);
+  const packages = loadEvidenceDir(path.resolve(args.root, args.evidenceDir));
+
+  const results = files.map(file => {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      throw new Error(`Failed to read ${file}: ${e.message}`);
+    }
+    const found = packages.find(({ evidence }) => evidence.story_id === data.story_id);
+    const criteria = found ? found.evidence.acceptance_criteria || [] : [];
+    const errors = validateReview(data.review || data, { criteria });
+    return {
+      file: path.relative(args.root, path.resolve(file)),
+      story_id: data.story_id || null,
+      verdict: data.review ? data.review.verdict : data.verdict,
+      valid: errors.length === 0,
+      errors
+    };
+  });
+  const ok = results.every(result => result.valid && result.verdict === 'PASS');
+
+  if (args.json) {
+    console.log(JSON.stringify({ ok, results }, null, 2));
+    return ok;
+  }
+  for (const result of results) {
+    const mark = result.valid && result.verdict === 'PASS' ? '✓' : '✗';
+    console.log(`${mark} ${result.file}: ${result.valid ? result.verdict : 'invalid'}`);
+    for (const error of result.errors) console.log(`    ✗ ${error.path}: ${error.message}`);
+  }
+  if (results.length === 0) console.log('No review files found');
+  return ok;
+}
+
+if (require.main === module) {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.log(`ERROR: ${e.message}`);
+    process.exit(1);
+  }
+
+  if (args.help) {
+    printHelp();
+    process.exit(0);
+  }
+
+  (args.command === 'review' ? review(args) : Promise.resolve(check(args)))
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(e => {
+      console.log(`ERROR: ${e.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = { parseArgs };
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+/**
+ * Compute the execution plan for prd.json
+ *
+ * Replaces working out parallel groups by hand (ORCHESTRATOR.md):
+ * prints the waves of stories that can run in parallel, the critical
+ * path, and stories that are blocked or out of attempts.
+ *
+ * Attempts come from prd.json story metrics and METRICS.json, whichever is higher.
+ *
+ * Usage: node schedule.js [prd.json path] [--metrics <path>] [--json]
+ */
+
+const { DEFAULT_PRD_PATH, loadPrd } = require('./lib/prd');
+const { DEFAULT_METRICS_PATH, loadMetrics, mergeMetrics } = require('./lib/metrics');
+const { schedulePrd } = require('./lib/schedule');
+
+function parseArgs(argv) {
+  const args = { prdPath: DEFAULT_PRD_PATH, metricsPath: DEFAULT_METRICS_PATH, json: false, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--metrics') args.metricsPath = argv[++i];
+    else if (arg === '--json') args.json = true;
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (!arg.startsWith('-')) args.prdPath = arg;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+  if (!args.metricsPath) throw new Error('--metrics requires a path');
+  return args;
+}
+
+function printHelp() {
+  console.log('Usage: node schedule.js [prd.json path] [--metrics <path>] [--json]');
+  console.log('');
+  console.log('Options:');
+  console.log(`  --metrics <path>  METRICS.json with recorded attempts (default: ${DEFAULT_METRICS_PATH})`);
+  console.log('  --json            Print the plan as JSON');
+  console.log('  --help, -h        Show this help message');
+  console.log('');
+  console.log(`Default path: ${DEFAULT_PRD_PATH}`);
+}
+
+function formatStory(story) {
+  const notes = [];
+  if (story.next_checkpoint) notes.push(`next: ${story.next_checkpoint}`);
+  if (story.attempts > 0) notes.push(`attempt ${story.attempts}/${story.max_attempts}`);
+  if (story.failed_checkpoints.length > 0) notes.push(`failed: ${story.failed_checkpoints.join(', ')}`);
+  return `${story.id} ${story.title || ''}${notes.length > 0 ? ` (${notes.join('; ')})` : ''}`;
+}
+
+function printPlan(plan) {
+  const byId = new Map(plan.stories.map(story => [story.id, story]));
+
+  console.log('═══════════════════════════════════════════════════════════');
+  console.log(`Ralph Execution Plan: ${plan.project || 'prd.json'}`);
+  console.log('═══════════════════════════════════════════════════════════\n');
+
+  const { summary } = plan;
+  console.log(`Progress: ${summary.complete}/${summary.total} complete`);
+  console.log(`Max attempts per story: ${plan.max_attempts_per_story}\n`);
+
+  if (plan.waves.length === 0) {
+    console.log(summary.complete === summary.total ? 'All stories complete' : 'No runnable stories');
+  }
+  plan.waves.forEach((wave, i) => {
+    const mode = wave.length > 1 ? 'parallel' : 'single';
+    console.log(`Wave ${i + 1} (${mode}${i === 0 ? ', ready now' : ''}):`);
+    for (const id of wave) {
+      const story = byId.get(id);
+      const after = i > 0 ? ` [after ${story.depends_on.join(', ')}]` : '';
+      console.log(`  - ${formatStory(story)}${after}`);
+    }
+  });
+
+  if (plan.critical_path.length > 0) {
+    console.log(`\nCritical path (${plan.critical_path.length} stories): ${plan.critical_path.join(' → ')}`);
+  }
+
+  console.log('\nBlocked:');
+  if (plan.blocked.length === 0) console.log('  None');
+  for (const { id, reasons } of plan.blocked) {
+    console.log(`  ✗ ${id}: ${reasons.join('; ')}`);
+  }
+
+  console.log('\nExhausted (needs human intervention):');
+  if (plan.exhausted.length === 0) console.log('  None');
+  for (const { id, attempts } of plan.exhausted) {
+    console.log(`  ✗ ${id}: ${attempts}/${plan.max_attempts_per_story} attempts`);
+  }
+  console.log('');
+}
+
+if (require.main === module) {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.log(`ERROR: ${e.message}`);
+    process.exit(1);
+  }
+
+  if (args.help) {
+    printHelp();
+    process.exit(0);
+  }
+
+  try {
+    const plan = schedulePrd(mergeMetrics(loadPrd(args.prdPath), loadMetrics(args.metricsPath)));
+    if (args.json) console.log(JSON.stringify(plan, null, 2));
+    else printPlan(plan);
+  } catch (e) {
+    console.log(`ERROR: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { parseArgs, printPlan };
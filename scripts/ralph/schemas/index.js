@@ -0,0 +1,20 @@
+/**
+ * Published prd.json schemas, keyed by version
+ */
+
+const SCHEMAS = {
+  '2.0': require('./prd-2.x.schema.json'),
+  '2.1': require('./prd-2.x.schema.json'),
+  '3.0': require('./prd-3.0.schema.json'),
+  '4.0': require('./prd-4.0.schema.json')
+};
+
+function schemaForVersion(version) {
+  const schema = SCHEMAS[version];
+  if (!schema) {
+    throw new Error(`No schema for prd.json version "${version}"`);
+  }
+  return schema;
+}
+
+module.exports = { SCHEMAS, schemaForVersion };
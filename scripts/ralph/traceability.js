@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+/**
+ * Acceptance-criteria traceability matrix
+ *
+ * Maps every acceptanceCriteria entry in prd.json to the e2e tests that
+ * exercise it (parsed statically from the specs) and joins in the results
+ * from verification/test-results.json. Flags criteria with no test or
+ * only failing tests.
+ *
+ * Gate before the playwright_validated checkpoint:
+ *   node scripts/ralph/traceability.js US-001 --gate
+ * exits 1 unless every browser-checkable criterion has a passing test.
+ *
+ * Usage:
+ *   node traceability.js [<story>...] [--gate] [--json] [--markdown]
+ *                        [--out-json <path>] [--out-md <path>]
+ *
+ * Options: --prd <path> --e2e-dir <dir> --results <path> --root <dir>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_PRD_PATH, loadPrd } = require('./lib/prd');
+const { DEFAULT_TEST_RESULTS } = require('./lib/evidence');
+const { findSpecFiles, parseSpecFile } = require('./lib/specs');
+const { buildMatrix, renderMarkdown } = require('./lib/traceability');
+
+const DEFAULT_E2E_DIR = 'e2e';
+
+function parseArgs(argv) {
+  const args = {
+    stories: [],
+    prdPath: DEFAULT_PRD_PATH,
+    e2eDir: DEFAULT_E2E_DIR,
+    resultsPath: DEFAULT_TEST_RESULTS,
+    root: process.cwd(),
+    outJson: null,
+    outMd: null,
+    gate: false,
+    json: false,
+    markdown: false,
+    help: false
+  };
+  const value = (i, flag) => {
+    if (!argv[i]) throw new Error(`${flag} requires a value`);
+    return argv[i];
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--prd') args.prdPath = value(++i, arg);
+    else if (arg === '--e2e-dir') args.e2eDir = value(++i, arg);
+    else if (arg === '--results') args.resultsPath = value(++i, arg);
+    else if (arg === '--root') args.root = value(++i, arg);
+    else if (arg === '--out-json') args.outJson = value(++i, arg);
+    else if (arg === '--out-md') args.outMd = value(++i, arg);
+    else if (arg === '--gate') args.gate = true;
+    else if (arg === '--json') args.json = true;
+    else if (arg === '--markdown') args.markdown = true;
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (arg.startsWith('-')) throw new Error(`Unknown option: ${arg}`);
+    else args.stories.push(arg);
+  }
+  if (args.json && args.markdown) throw new Error('--json and --markdown are mutually exclusive');
+  return args;
+}
+
+function printHelp() {
+  console.log('Usage: node traceability.js [<story>...] [options]');
+  console.log('');
+  console.log('All stories are included when none is given.');
+  console.log('');
+  console.log('Options:');
+  console.log('  --gate              Also fail on criteria whose tests have no results');
+  console.log('                      (run before the playwright_validated checkpoint)');
+  console.log('  --json              Print the matrix as JSON');
+  console.log('  --markdown          Print the matrix as Markdown');
+  console.log('  --out-json <path>   Write the JSON matrix to a file');
+  console.log('  --out-md <path>     Write the Markdown matrix to a file');
+  console.log(`  --prd <path>        prd.json (default: ${DEFAULT_PRD_PATH})`);
+  console.log(`  --e2e-dir <dir>     Playwright testDir (default: ${DEFAULT_E2E_DIR})`);
+  console.log(`  --results <path>    Playwright JSON report (default: ${DEFAULT_TEST_RESULTS})`);
+  console.log('  --root <dir>        Project root (default: current directory)');
+  console.log('  --help, -h          Show this help message');
+}
+
+function loadReport(root, resultsPath) {
+  const file = path.resolve(root, resultsPath);
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Failed to parse ${resultsPath}: ${e.message}`);
+  }
+}
+
+function printMatrix(matrix, args, reportFound) {
+  const { summary } = matrix;
+  const icons = { passing: '✓', partial: '⚠', failing: '✗', 'not-run': '⚠', untested: '✗', 'n/a': '-' };
+
+  console.log('═══════════════════════════════════════════════════════════');
+  console.log('Acceptance Criteria Traceability');
+  console.log('═══════════════════════════════════════════════════════════\n');
+  if (!reportFound) console.log(`⚠ ${args.resultsPath} not found - showing coverage only\n`);
+
+  for (const story of matrix.stories) {
+    console.log(`${story.id}: ${story.title}`);
+    console.log(`  Specs: ${story.spec_files.join(', ') || 'none'}`);
+    for (const row of story.criteria) {
+      const counts = row.tests.length > 0 ? ` (${row.tests.length} test(s))` : '';
+      console.log(`  ${icons[row.status]} ${row.id} ${row.status}${counts}: ${row.criterion}`);
+    }
+    if (story.unmapped_tests.length > 0) console.log(`  ${story.unmapped_tests.length} test(s) not linked to a criterion`);
+    console.log('');
+  }
+
+  const errors = matrix.issues.filter(issue => issue.level === 'error');
+  const warnings = matrix.issues.filter(issue => issue.level === 'warning');
+  for (const issue of [...errors, ...warnings]) {
+    console.log(`${issue.level === 'error' ? '✗' : '⚠'} ${issue.target}: ${issue.message} [${issue.check}]`);
+  }
+  console.log(`\n${summary.passing}/${summary.criteria} criteria passing, ${errors.length} error(s), ${warnings.length} warning(s)`);
+  if (errors.length > 0) console.log(`BLOCKED: ${args.gate ? 'do not mark playwright_validated' : 'criteria without passing tests'}`);
+}
+
+function run(args) {
+  const prd = loadPrd(args.prdPath);
+  const files = findSpecFiles(args.e2eDir, args.root);
+  // A task's e2eTestFile may live outside the testDir
+  for (const { e2eTestFile } of prd.tasks || []) {
+    if (e2eTestFile && !files.includes(e2eTestFile) && fs.existsSync(path.resolve(args.root, e2eTestFile))) {
+      files.push(e2eTestFile);
+    }
+  }
+  const specs = files.map(file => parseSpecFile(file, args.root));
+  const report = loadReport(args.root, args.resultsPath);
+
+  const matrix = {
+    generated_at: new Date().toISOString(),
+    report: report ? args.resultsPath : null,
+    ...buildMatrix(prd, { specs, report, testDir: args.e2eDir, stories: args.stories, gate: args.gate })
+  };
+  const markdown = renderMarkdown(matrix, { generatedAt: matrix.generated_at });
+
+  if (args.outJson) fs.writeFileSync(path.resolve(args.root, args.outJson), JSON.stringify(matrix, null, 2) + '\n');
+  if (args.outMd) fs.writeFileSync(path.resolve(args.root, args.outMd), markdown + '\n');
+
+  if (args.json) console.log(JSON.stringify(matrix, null, 2));
+  else if (args.markdown) console.log(markdown);
+  else printMatrix(matrix, args, Boolean(report));
+
+  return !matrix.issues.some(issue => issue.level === 'error');
+}
+
+if (require.main === module) {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.log(`ERROR: ${e.message}`);
+    process.exit(1);
+  }
+
+  if (args.help) {
+    printHelp();
+    process.exit(0);
+  }
+
+  try {
+    process.exit(run(args) ? 0 : 1);
+  } catch (e) {
+    console.log(`ERROR: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { parseArgs, run };
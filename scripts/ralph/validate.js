@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+/**
+ * Validate prd.json
+ *
+ * Checks the file against the published schema for its version
+ * (schemas/prd-<version>.schema.json) and lints cross-references:
+ * duplicate story IDs, unknown/cyclic depends_on, currentTask,
+ * test_categories (VALIDATION-FRAMEWORK.md) and e2eTestFile paths.
+ *
+ * Exit code: 0 = valid (warnings allowed), 1 = errors found
+ *
+ * Usage: node validate.js [prd.json path] [--root <dir>] [--json]
+ */
+
+const { DEFAULT_PRD_PATH, loadPrd } = require('./lib/prd');
+const { validatePrd } = require('./lib/validate-prd');
+
+function parseArgs(argv) {
+  const args = { prdPath: DEFAULT_PRD_PATH, root: process.cwd(), json: false, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--root') args.root = argv[++i];
+    else if (arg === '--json') args.json = true;
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (!arg.startsWith('-')) args.prdPath = arg;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+  if (!args.root) throw new Error('--root requires a directory');
+  return args;
+}
+
+function printHelp() {
+  console.log('Usage: node validate.js [prd.json path] [--root <dir>] [--json]');
+  console.log('');
+  console.log('Options:');
+  console.log('  --root <dir>  Project root for e2eTestFile paths (default: current directory)');
+  console.log('  --json        Print issues as JSON');
+  console.log('  --help, -h    Show this help message');
+  console.log('');
+  console.log(`Default path: ${DEFAULT_PRD_PATH}`);
+}
+
+function run(args) {
+  const prd = loadPrd(args.prdPath);
+  const { version, issues } = validatePrd(prd, { root: args.root });
+  const errors = issues.filter(issue => issue.level === 'error');
+  const warnings = issues.filter(issue => issue.level === 'warning');
+
+  if (args.json) {
+    console.log(JSON.stringify({ file: args.prdPath, version, valid: errors.length === 0, issues }, null, 2));
+    return errors.length === 0;
+  }
+
+  console.log(`Validating ${args.prdPath} (v${version || '?'})\n`);
+  for (const issue of issues) {
+    const icon = issue.level === 'error' ? '✗' : '⚠';
+    console.log(`  ${icon} ${issue.path}: ${issue.message} [${issue.rule}]`);
+  }
+  if (issues.length > 0) console.log('');
+
+  if (errors.length > 0) {
+    console.log(`INVALID: ${errors.length} error(s), ${warnings.length} warning(s)`);
+    return false;
+  }
+  console.log(`✓ Valid${warnings.length > 0 ? ` (${warnings.length} warning(s))` : ''}`);
+  return true;
+}
+
+if (require.main === module) {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.log(`ERROR: ${e.message}`);
+    process.exit(1);
+  }
+
+  if (args.help) {
+    printHelp();
+    process.exit(0);
+  }
+
+  try {
+    process.exit(run(args) ? 0 : 1);
+  } catch (e) {
+    console.log(`ERROR: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { parseArgs, run };